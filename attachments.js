@@ -0,0 +1,82 @@
+// attachments.js — file checks for message attachments.
+// Metadata checks (type allowlist, size, executables/archives) need nothing but the
+// attachment itself; content checks (hash blocklist, magic bytes) take the downloaded
+// bytes. bot.js does the downloading and the image moderation call.
+import { createHash } from 'crypto';
+
+// Never allowed, whatever the guild's allowlist says.
+export const EXECUTABLE_EXTENSIONS = [
+  'exe', 'msi', 'bat', 'cmd', 'com', 'scr', 'pif', 'cpl', 'dll', 'sys', 'lnk', 'hta',
+  'vbs', 'vbe', 'wsf', 'ps1', 'psm1', 'jar', 'apk', 'app', 'dmg', 'pkg', 'deb', 'rpm',
+  'sh', 'run', 'bin', 'iso', 'img', 'reg',
+];
+export const ARCHIVE_EXTENSIONS = ['zip', 'rar', '7z', 'tar', 'gz', 'tgz', 'bz2', 'xz', 'zst', 'cab'];
+
+// Formats the moderation model accepts as image input.
+export const MODERATABLE_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+export function extensionOf(name) {
+  const m = /\.([a-z0-9]{1,10})$/i.exec(name || '');
+  return m ? m[1].toLowerCase() : '';
+}
+
+// "/attachments types add .PNG" stores "png"
+export function normalizeExtension(input) {
+  const ext = String(input || '').trim().toLowerCase().replace(/^\*?\./, '');
+  return /^[a-z0-9]{1,10}$/.test(ext) ? ext : null;
+}
+
+export function sha256(buffer) {
+  return createHash('sha256').update(buffer).digest('hex');
+}
+
+// Returns a finding ({ kind, reason }) or null.
+// `allowedTypes` is the guild's extension allowlist; empty means any non-blocked type.
+export function inspectAttachment({ name, size }, { allowedTypes = [], maxBytes }) {
+  const ext = extensionOf(name);
+  if (EXECUTABLE_EXTENSIONS.includes(ext)) {
+    return { kind: 'executable', reason: `Executable attachment (${name})` };
+  }
+  if (ARCHIVE_EXTENSIONS.includes(ext)) {
+    return { kind: 'archive', reason: `Archive attachment (${name})` };
+  }
+  if (allowedTypes.length && !allowedTypes.includes(ext)) {
+    return { kind: 'type', reason: `File type not allowed (${ext ? `.${ext}` : 'no extension'}: ${name})` };
+  }
+  if (maxBytes && size > maxBytes) {
+    return { kind: 'size', reason: `Attachment too large (${name}, ${(size / 1024 / 1024).toFixed(1)} MB)` };
+  }
+  return null;
+}
+
+// Renamed binaries ("notes.pdf" that is really an .exe) are caught by their first bytes.
+// "MZ" alone is too common in text, so Windows executables also need the PE header it points at.
+function hasPeHeader(buffer) {
+  if (buffer.length < 0x40) return false;
+  const offset = buffer.readUInt32LE(0x3c);
+  return offset + 4 <= buffer.length && buffer.toString('latin1', offset, offset + 4) === 'PE\0\0';
+}
+
+const SIGNATURES = [
+  { kind: 'executable', label: 'Windows executable', bytes: [0x4d, 0x5a], check: hasPeHeader }, // MZ
+  { kind: 'executable', label: 'ELF binary', bytes: [0x7f, 0x45, 0x4c, 0x46] },
+  { kind: 'executable', label: 'Mach-O binary', bytes: [0xcf, 0xfa, 0xed, 0xfe] },
+  { kind: 'archive', label: 'zip archive', bytes: [0x50, 0x4b, 0x03, 0x04] },            // PK..
+  { kind: 'archive', label: 'rar archive', bytes: [0x52, 0x61, 0x72, 0x21] },            // Rar!
+  { kind: 'archive', label: '7z archive', bytes: [0x37, 0x7a, 0xbc, 0xaf] },
+];
+// Office documents and e-books are zips underneath; only flag a zip signature
+// when the name doesn't claim one of these.
+const ZIP_BASED_EXTENSIONS = ['docx', 'xlsx', 'pptx', 'odt', 'ods', 'odp', 'epub', 'sb3'];
+
+// `buffer` may be just the file's leading bytes, with `hash: null`, when there's no hash list to check.
+export function inspectContent(name, buffer, { badHashes = [], hash = sha256(buffer) } = {}) {
+  if (badHashes.includes(hash)) {
+    return { kind: 'hash', hash, reason: `Known-bad file (${name}, sha256 ${hash.slice(0, 12)}…)` };
+  }
+  const sig = SIGNATURES.find(s => s.bytes.every((b, i) => buffer[i] === b) && (!s.check || s.check(buffer)));
+  if (sig && !(sig.kind === 'archive' && ZIP_BASED_EXTENSIONS.includes(extensionOf(name)))) {
+    return { kind: sig.kind, hash, reason: `Disguised ${sig.label} (${name})` };
+  }
+  return null;
+}
@@ -7,6 +7,17 @@ import {
   Events,
   Partials,
   PermissionsBitField,
+  PermissionFlagsBits,
+  SlashCommandBuilder,
+  InteractionContextType,
+  MessageFlags,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder,
 } from 'discord.js';
 import OpenAI from 'openai';
 import fs from 'node:fs/promises'; // added for DM storage
@@ -24,8 +35,174 @@ import {
   rememberUserQuirk,
   // optional: message log (kept ON for profiling context/history if you want)
   saveConversationMessage,
+  getRecentGuildMessages,
+  getPairHistory,
+  // persistent moderation state
+  ensureModerationTables,
+  addStrike,
+  getStrikeState,
+  setStrikeTimeout,
+  recordToneReply,
+  clearStrikes,
+  addShadowban,
+  removeShadowban,
+  isShadowbanned,
+  getShadowbanState,
+  setModerationEnabled,
+  isModerationEnabled,
+  getGuildPolicy,
+  setGuildPolicyValue,
+  resetGuildPolicy,
+  getModRoles,
+  addModRole,
+  removeModRole,
+  // appeals
+  getModerationLogEntry,
+  createAppeal,
+  getAppeal,
+  setAppealMessage,
+  decideAppeal,
+  // numbered cases
+  createCase,
+  setCaseModLogMessage,
+  getCase,
+  updateCaseReason,
+  getUserCases,
+  markActionFailed,
+  addDeletionToCase,
+  // officer notes & member timeline
+  addOfficerNote,
+  removeOfficerNote,
+  getUserTimeline,
+  // weekly report
+  claimWeeklyReport,
+  releaseWeeklyReport,
+  getModerationReport,
+  // dry-run mode
+  setDryRun,
+  isDryRun,
+  getDryRunComparison,
+  // classification cache
+  CLASSIFICATION_CACHE_TTL_HOURS,
+  getCachedClassification,
+  setCachedClassification,
+  getClassificationCacheStats,
+  // filter rules
+  getFilterRules,
+  customizeFilterRules,
+  addFilterRule,
+  removeFilterRule,
+  // channel profiles & trusted roles
+  getModerationScopes,
+  setChannelCheck,
+  setChannelOverride,
+  clearChannelProfile,
+  setTrustedRole,
+  removeTrustedRole,
+  // link scanning
+  getLinkRules,
+  setLinkRule,
+  removeLinkRule,
+  // attachment checks
+  getAttachmentRules,
+  setAttachmentTypes,
+  listBadFileHashes,
+  addBadFileHash,
+  removeBadFileHash,
+  // anti-raid
+  startRaid,
+  getActiveRaid,
+  getActiveRaids,
+  touchRaid,
+  finishRaid,
+  getRaid,
+  setRaidReviewMessage,
+  addRaidJoiner,
+  getRaidJoiners,
+  setRaidJoinersReviewed,
+  // community votes
+  getVoteWeights,
+  setVoteWeight,
+  recordVoteAction,
+  getVoteAction,
+  markVoteOverturned,
+  getVoterRecords,
+  // heat slowmode
+  startSlowmode,
+  getActiveSlowmodes,
+  touchSlowmode,
+  endSlowmode,
+  // timed actions
+  addTimedAction,
+  getTimedAction,
+  listTimedActions,
+  getExpiredTimedActions,
+  endTimedAction,
+  markTimedActionFailed,
+  endTimedActionsFor,
+  // verification gate
+  getVerificationSettings,
+  setVerificationSettings,
+  startVerification,
+  getVerification,
+  updateVerification,
+  tightenPendingVerifications,
+  finishVerification,
+  getExpiredVerifications,
+  getVerificationStats,
 } from './db.js';
 
+// --- shared decision logic (also used by eval_moderation.js) ---
+import {
+  DEFAULT_POLICY,
+  strikeDecayMs,
+  ladderAction,
+  ladderPattern,
+  normalizeForRepeat,
+  isTrivialText,
+  isFamiliarPair,
+  trackMessage,
+  trackMentions,
+  trackUserPosts,
+  flagRaidJoiners,
+  verificationRequirements,
+  makeVerificationQuestion,
+  parseDuration,
+  formatDuration,
+  shortensPermanentShadowban,
+  MAX_DURATION_MS,
+  isHeatedMessage,
+  trackHeat,
+  isOverheated,
+  messageHeat,
+  findConflicts,
+  CONFLICT_LEVELS,
+  MODERATION_CHECKS,
+  resolveExemptions,
+  moderateMessage,
+} from './moderation.js';
+import { createClassifier, backendsFromEnv, createClassificationCache, classifyInContext, TONE_CONTEXT_MESSAGES } from './classifiers.js';
+import { scanLinks, resolverFromEnv, normalizeDomain, normalizeLinkRule } from './links.js';
+import {
+  DEFAULT_FILTER_RULES,
+  FILTER_TYPES,
+  FILTER_SEVERITIES,
+  FILTER_ACTIONS,
+  compileFilterRule,
+  compileFilterRules,
+  matchFilters,
+  normalizeForFilter,
+  describeFilterRule,
+  REGEX_TIMEOUT_MS,
+} from './filters.js';
+import {
+  MODERATABLE_IMAGE_TYPES,
+  inspectAttachment,
+  inspectContent,
+  normalizeExtension,
+  sha256,
+} from './attachments.js';
+
 // ---------- setup ----------
 const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 const client = new Client({
@@ -43,18 +220,190 @@ const OWNER_ID = process.env.OWNER_ID?.trim();
 const MOD_LOG_CHANNEL_ID = process.env.MOD_LOG_CHANNEL_ID;
 
 // ---------- moderation state ----------
-const strikes = new Map();
-const STRIKE_LIMITS = { warn: 1, timeout: 2, kick: 3, ban: 4 };
-const STRIKE_DECAY_MS = 1000 * 60 * 60 * 24 * 7;
-const DISABLED_GUILDS = new Set();
-const shadowBanned = new Set();
+// strikes, shadowbans, tone cooldowns and per-guild on/off live in Postgres (see db.js)
 const messageHistory = new Map();
-const recentJoins = [];
-const lastToneReply = new Map();
-const TONE_COOLDOWN_MS = 5000;
+const mentionHistory = new Map(); // `${guildId}:${userId}` -> recent mention entries
+const userPostHistory = new Map(); // `${guildId}:${userId}` -> recent posts across all channels
+const recentJoins = new Map(); // guildId -> joiners inside the raid window
+
+// ---------- per-guild policy ----------
+const policyCache = new Map(); // guildId -> merged policy
+
+async function getPolicy(guildId) {
+  if (policyCache.has(guildId)) return policyCache.get(guildId);
+  const overrides = await getGuildPolicy(guildId);
+  const policy = { ...DEFAULT_POLICY };
+  for (const [k, v] of Object.entries(overrides || {})) {
+    if (k in DEFAULT_POLICY && Number.isFinite(v)) policy[k] = v;
+  }
+  // after a failed read the defaults stand in for this call only; the next one retries
+  if (overrides) policyCache.set(guildId, policy);
+  return policy;
+}
+
+// Keys whose floor isn't 1; a copy "in 1 channel" would strike every message that's long enough.
+const POLICY_MINIMUMS = {
+  cross_channel_copies: 2,
+  ban_hours: 0, // 0 = permanent
+};
+const POLICY_MAXIMUMS = {
+  ban_hours: MAX_DURATION_MS / (60 * 60 * 1000),
+};
+
+// Returns an error string, or null if the change is acceptable.
+function validatePolicyChange(current, key, value) {
+  if (!(key in DEFAULT_POLICY)) return `Unknown key \`${key}\`.`;
+  const min = POLICY_MINIMUMS[key] ?? 1;
+  if (!Number.isInteger(value) || value < min) return `\`${key}\` must be a whole number of at least ${min}.`;
+  if (value > (POLICY_MAXIMUMS[key] ?? Infinity)) return `\`${key}\` can be at most ${POLICY_MAXIMUMS[key]}.`;
+  const next = { ...current, [key]: value };
+  if (!(next.strike_warn < next.strike_timeout && next.strike_timeout < next.strike_kick && next.strike_kick < next.strike_ban)) {
+    return 'Strike rungs must stay in order: warn < timeout < kick < ban.';
+  }
+  return null;
+}
+
+async function updatePolicy(guildId, key, value) {
+  await setGuildPolicyValue(guildId, key, value);
+  policyCache.delete(guildId);
+}
+
+async function resetPolicy(guildId, key = null) {
+  await resetGuildPolicy(guildId, key);
+  policyCache.delete(guildId);
+}
+
+// ---------- channel profiles & trusted roles ----------
+// /channelrules switches checks off or relaxes policy keys per channel (threads follow
+// their parent); /trusted lets a role skip some or all checks. Shadowbans and the
+// "posted while timed out" rule apply regardless.
+const scopeCache = new Map(); // guildId -> { profiles, trusted }
+
+// a failed read moderates with the server policy everywhere this time and retries on the next message
+async function getCachedScopes(guildId) {
+  if (scopeCache.has(guildId)) return scopeCache.get(guildId);
+  const scopes = await getModerationScopes(guildId);
+  if (scopes) scopeCache.set(guildId, scopes);
+  return scopes || { profiles: {}, trusted: {} };
+}
+
+function describeProfile(channelId, profile) {
+  const relaxed = Object.entries(profile.overrides || {}).map(([k, v]) => `\`${k}\` ${v}`);
+  return `<#${channelId}> — off: ${profile.disabled.length ? profile.disabled.join(', ') : 'none'} · ` +
+    `relaxed: ${relaxed.length ? relaxed.join(', ') : 'none'}`;
+}
+
+// ---------- filter rules ----------
+// Guilds run on DEFAULT_FILTER_RULES until their first /filters edit copies them in.
+const filterCache = new Map(); // guildId -> { custom, rules, compiled }
+
+// a failed read runs the defaults this time and retries on the next message
+async function getCachedFilters(guildId) {
+  if (filterCache.has(guildId)) return filterCache.get(guildId);
+  const stored = await getFilterRules(guildId);
+  const active = stored?.custom ? stored.rules : DEFAULT_FILTER_RULES;
+  const filters = { custom: Boolean(stored?.custom), rules: active, compiled: compileFilterRules(active), readFailed: !stored };
+  if (stored) filterCache.set(guildId, filters);
+  return filters;
+}
+
+// ---------- link rules ----------
+const linkRulesCache = new Map(); // guildId -> { allow, deny }
+const linkResolver = resolverFromEnv(process.env.LINK_RESOLVER);
+
+// a failed read scans with empty lists this time and retries on the next message
+async function getCachedLinkRules(guildId) {
+  if (linkRulesCache.has(guildId)) return linkRulesCache.get(guildId);
+  const rules = await getLinkRules(guildId);
+  if (rules) linkRulesCache.set(guildId, rules);
+  return rules || { allow: [], deny: [] };
+}
+
+// Invites to this server (vanity URL or any invite that resolves back here) are fine.
+async function isOwnInvite(guild, code) {
+  if (guild.vanityURLCode && guild.vanityURLCode.toLowerCase() === code.toLowerCase()) return true;
+  const invite = await client.fetchInvite(code).catch(() => null);
+  return invite?.guild?.id === guild.id;
+}
+
+async function scanMessageLinks(msg) {
+  const { allow, deny } = await getCachedLinkRules(msg.guildId);
+  return scanLinks(msg.content, {
+    allow,
+    deny,
+    resolve: linkResolver.resolve,
+    isOwnInvite: (code) => isOwnInvite(msg.guild, code),
+  });
+}
+
+// ---------- attachment rules ----------
+const attachmentRulesCache = new Map(); // guildId -> { types, hashes }
+const IMAGE_MODERATION_MAX_BYTES = 10 * 1024 * 1024;
+// enough for every signature, including a PE header behind an MZ stub
+const ATTACHMENT_HEAD_BYTES = 4096;
+
+// a failed read checks with no rules this time and retries on the next message
+async function getCachedAttachmentRules(guildId) {
+  if (attachmentRulesCache.has(guildId)) return attachmentRulesCache.get(guildId);
+  const rules = await getAttachmentRules(guildId);
+  if (rules) attachmentRulesCache.set(guildId, rules);
+  return rules || { types: [], hashes: [] };
+}
+
+// With `maxBytes`, asks for just that much and stops reading if the CDN sends more anyway.
+async function downloadAttachment(url, maxBytes = null) {
+  const res = await fetch(url, {
+    headers: maxBytes ? { Range: `bytes=0-${maxBytes - 1}` } : {},
+    signal: AbortSignal.timeout(15 * 1000),
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  if (!maxBytes) return Buffer.from(await res.arrayBuffer());
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of res.body) {
+    chunks.push(chunk);
+    size += chunk.length;
+    if (size >= maxBytes) break; // leaving the loop cancels the rest of the body
+  }
+  return Buffer.concat(chunks).subarray(0, maxBytes);
+}
+
+// Metadata first (no download needed), then hash/magic bytes, then images go to the
+// moderation model. Only the leading bytes are fetched unless the guild has a hash list
+// or the file is an image for the model. Files that can't be downloaded are skipped.
+async function scanMessageAttachments(msg, policy) {
+  if (!msg.attachments.size) return [];
+  const { types, hashes } = await getCachedAttachmentRules(msg.guildId);
+  const findings = [];
 
-// escalating timeouts
-const userModerationState = new Map(); // userId -> { warningCount, lastIncident, timeoutUntil, pattern }
+  for (const att of msg.attachments.values()) {
+    const meta = inspectAttachment(att, { allowedTypes: types, maxBytes: policy.attachment_max_mb * 1024 * 1024 });
+    if (meta) { findings.push(meta); continue; }
+
+    const type = att.contentType?.split(';')[0];
+    const moderateImage = MODERATABLE_IMAGE_TYPES.includes(type) && att.size <= IMAGE_MODERATION_MAX_BYTES;
+    const whole = moderateImage || hashes.length > 0;
+    let buffer;
+    try {
+      buffer = await downloadAttachment(att.url, whole ? null : ATTACHMENT_HEAD_BYTES);
+    } catch (e) {
+      console.error(`Attachment download failed (${att.name}):`, e?.message || e);
+      continue;
+    }
+    const hash = whole ? sha256(buffer) : null;
+    const content = inspectContent(att.name, buffer, { badHashes: hashes, hash });
+    if (content) { findings.push(content); continue; }
+
+    if (moderateImage && buffer.length <= IMAGE_MODERATION_MAX_BYTES) {
+      const result = await classifier.moderateImage(`data:${type};base64,${buffer.toString('base64')}`, hash);
+      if (result.flagged) {
+        const categories = Object.entries(result.categories || {}).filter(([, v]) => v).map(([k]) => k);
+        findings.push({ kind: 'image', hash, reason: `Flagged image (${categories.join(', ') || 'unsafe'}: ${att.name})` });
+      }
+    }
+  }
+  return findings;
+}
 
 // ---------- ONE-TIME DM BROADCAST (display-name personalization, silent) ----------
 const DM_ONCE_PATH = './data/dm_once.json';
@@ -81,41 +430,56 @@ function markSentOnce(guildId, userId) {
 }
 
 // ---------- helpers ----------
-function decayStrikes(userId) {
-  const entry = strikes.get(userId);
-  if (!entry) return 0;
-  const { count, lastStrike } = entry;
-  if (Date.now() - lastStrike > STRIKE_DECAY_MS) {
-    strikes.delete(userId);
-    return 0;
-  }
-  return count;
+// Who took a moderation action; stored on every case.
+const BOT_ACTOR = { type: 'bot' };
+const VOTE_ACTOR = { type: 'vote' };
+
+// Posts anything to the mod-log channel; resolves to the sent message, or null if there's no channel.
+async function sendModLog(guild, payload) {
+  if (!MOD_LOG_CHANNEL_ID) return null;
+  const chan = await guild.channels.fetch(MOD_LOG_CHANNEL_ID).catch(() => null);
+  return chan ? chan.send(payload) : null;
 }
 
-async function logEvidence(guild, msg, reason, action) {
-  if (!MOD_LOG_CHANNEL_ID) return;
+// Posts the evidence embed and returns its message id (null if nothing was posted).
+// `editedFrom` is the pre-edit content when the offending text arrived via an edit.
+async function logEvidence(guild, msg, reason, action, caseNumber = null, editedFrom = null) {
+  if (!MOD_LOG_CHANNEL_ID) return null;
   try {
     const chan = await guild.channels.fetch(MOD_LOG_CHANNEL_ID);
-    if (!chan) return;
-    await chan.send({
+    if (!chan) return null;
+    const fields = [{ name: editedFrom === null ? 'Message' : 'Message (after edit)', value: msg.content || '(no content)' }];
+    if (editedFrom !== null) fields.push({ name: 'Before edit', value: (editedFrom || '(not cached)').slice(0, 1024) });
+    const posted = await chan.send({
       embeds: [
         {
-          title: `Moderation Action: ${action}`,
+          title: `${caseNumber ? `Case #${caseNumber} · ` : ''}Moderation Action: ${action}`,
           description: `**User:** ${msg.author.tag} (${msg.author.id})\n**Reason:** ${reason}`,
-          fields: [{ name: 'Message', value: msg.content || '(no content)' }],
+          fields,
           timestamp: new Date().toISOString(),
         },
       ],
     });
+    return posted.id;
   } catch (e) {
     console.error('Failed to log evidence:', e);
+    return null;
   }
 }
 
-async function recordLog(msg, { harassment=false, hate=false, violence=false, tone={}, action='none' } = {}) {
+// Writes the moderation_log row and, for a sanction, opens a numbered case. Deletions don't
+// open one: they join the case of the strike that came with them (see removeMessage).
+// Dry-run rows never get a case. Returns { id, caseNumber } (either may be null).
+// `backends` = { moderation, tone, toneContext }: which classifier backend produced this message's
+// verdicts, and the conversation context the tone verdict was judged with.
+// `editedFrom` is the pre-edit content for re-moderated edits (null for new messages).
+// `links` / `mentions` are the link scanner's findings or the abused mentions when that's what caught it;
+// `filter` is the winning filter-rule hit ({ rule, match }) when a rule matched.
+async function recordLog(msg, { harassment=false, hate=false, violence=false, tone={}, action='none', reason=null, actor=BOT_ACTOR, dryRun=false, backends={}, editedFrom=null, links=null, mentions=null, filter=null } = {}) {
   const { passive_aggressive=false, condescending=false, provocation=false, toxicity='none' } = tone || {};
+  let id = null;
   try {
-    await logModerationEvent({
+    id = await logModerationEvent({
       guildId: msg.guildId,
       channelId: msg.channelId,
       userId: msg.author.id,
@@ -126,99 +490,166 @@ async function recordLog(msg, { harassment=false, hate=false, violence=false, to
       condescending,
       provocation,
       toxicity,
-      action_taken: action
+      action_taken: action,
+      reason,
+      dry_run: dryRun,
+      moderation_backend: backends.moderation ?? null,
+      tone_backend: backends.tone ?? null,
+      tone_context: backends.toneContext ?? null,
+      edited_from: editedFrom,
+      unsafe_link: Boolean(links?.length),
+      link_findings: links?.length ? links : null,
+      mention_abuse: mentions ? { kind: mentions.kind, scope: mentions.scope, users: mentions.users, roles: mentions.roles, everyone: mentions.everyone } : null,
+      filter_match: filter ? {
+        rule_id: filter.rule.id,
+        type: filter.rule.type,
+        pattern: filter.rule.pattern,
+        severity: filter.rule.severity,
+        action: filter.rule.action,
+        match: filter.match,
+      } : null,
     });
   } catch (e) {
     console.error('logModerationEvent failed:', e);
   }
-}
 
-async function escalate(msg, reason) {
-  const id = msg.author.id;
-  const prev = decayStrikes(id);
-  const count = prev + 1;
-  strikes.set(id, { count, lastStrike: Date.now() });
-
-  let action = 'none';
-  if (count === STRIKE_LIMITS.warn) {
-    action = 'warn';
-    await msg.reply(`⚠️ ${msg.author}, warning: ${reason}`);
-    await logEvidence(msg.guild, msg, reason, 'Warn');
-  } else if (count === STRIKE_LIMITS.timeout) {
-    action = 'timeout';
-    await msg.member.timeout(10 * 60 * 1000, reason);
-    await msg.reply('⏳ Timed out for 10m.');
-    await logEvidence(msg.guild, msg, reason, 'Timeout');
-  } else if (count === STRIKE_LIMITS.kick) {
-    action = 'kick';
-    await msg.member.kick(reason);
-    await msg.channel.send(`${msg.author.tag} was kicked.`);
-    await logEvidence(msg.guild, msg, reason, 'Kick');
-  } else if (count >= STRIKE_LIMITS.ban) {
-    action = 'ban';
-    await msg.member.ban({ reason });
-    await msg.channel.send(`${msg.author.tag} was banned.`);
-    await logEvidence(msg.guild, msg, reason, 'Ban');
+  let caseNumber = null;
+  if (action !== 'none' && action !== 'delete' && !dryRun) {
+    try {
+      const c = await createCase({
+        guildId: msg.guildId,
+        userId: msg.author.id,
+        action,
+        actorType: actor.type,
+        actorId: actor.id ?? null,
+        reason,
+        moderationLogId: id,
+      });
+      caseNumber = c.case_number;
+    } catch (e) {
+      console.error('createCase failed:', e);
+    }
   }
-
-  await recordLog(msg, { action });
-  return action;
-}
-
-function normalizeForRepeat(s) {
-  return (s || '')
-    .toLowerCase()
-    .replace(/[\u200B-\u200D\uFEFF]/g, '')
-    .replace(/\s+/g, ' ')
-    .trim();
+  return { id, caseNumber };
 }
 
-function hasCopypastaInSingleMessage(text) {
-  if (!text) return false;
-  if (text.replace(/\s+/g, ' ').trim().length < 30) return false;
+// Single escalation ladder: every strike (spam, flags, tone callouts, votes) lands here.
+// `warning` replaces the stock warn-rung reply (tone callouts pass their witty line);
+// `quiet` drops that reply (the strike still counts), used in channels under heat slowmode.
+// With dryRun the decision is made on the rehearsal ladder and only logged.
+// Returns { action, caseNumber } so a deletion for the same incident can join the case.
+async function escalate(msg, reason, { warning, quiet = false, actor = BOT_ACTOR, dryRun = false, backends = {}, editedFrom = null, links = null, mentions = null, filter = null } = {}) {
+  const policy = await getPolicy(msg.guildId);
+  const { count } = await addStrike({
+    guildId: msg.guildId,
+    userId: msg.author.id,
+    decayMs: strikeDecayMs(policy),
+    dryRun,
+  });
 
-  const rawLines = text.split(/\n+/).map(l => l.trim()).filter(Boolean);
-  if (rawLines.length >= 3) {
-    const lineCounts = new Map();
-    for (const l of rawLines) {
-      const k = normalizeForRepeat(l);
-      if (k.length < 20) continue;
-      lineCounts.set(k, (lineCounts.get(k) || 0) + 1);
+  const action = ladderAction(count, policy);
+
+  // log first so the appeal DM can reference the row; it has to go out before a kick/ban
+  const { id: logId, caseNumber } = await recordLog(msg, { action, reason, actor, dryRun, backends, editedFrom, links, mentions, filter });
+  if (dryRun) {
+    // keep the rehearsal ladder's timeout so "posted while timed out" is simulated too
+    if (action === 'timeout') {
+      await setStrikeTimeout({
+        guildId: msg.guildId,
+        userId: msg.author.id,
+        until: new Date(Date.now() + policy.timeout_minutes * 60 * 1000),
+        dryRun,
+      });
     }
-    if ([...lineCounts.values()].some(c => c >= 3)) return true;
+    return { action, caseNumber };
   }
+  if (action !== 'none') await offerAppeal(msg, action, reason, logId, caseNumber);
 
-  const sentences = normalizeForRepeat(text).split(/(?<=[.!?])\s+/).filter(Boolean);
-  if (sentences.length >= 3) {
-    const sentCounts = new Map();
-    for (const s of sentences) {
-      if (s.length < 20) continue;
-      sentCounts.set(s, (sentCounts.get(s) || 0) + 1);
-    }
-    if ([...sentCounts.values()].some(c => c >= 3)) return true;
+  // a sanction Discord refuses (role hierarchy, missing permission) is recorded as failed
+  try {
+    if (action === 'ban') await msg.member.ban({ reason });
+    else if (action === 'kick') await msg.member.kick(reason);
+    else if (action === 'timeout') await msg.member.timeout(policy.timeout_minutes * 60 * 1000, reason);
+  } catch (e) {
+    console.error(`Failed to ${action} ${msg.author.id}:`, e);
+    await markActionFailed({ logId, guildId: msg.guildId, caseNumber, error: e?.message || String(e) })
+      .catch(err => console.error('markActionFailed failed:', err));
+    const evidenceId = await logEvidence(msg.guild, msg, `${reason} (failed: ${e?.message || e})`, `${action[0].toUpperCase()}${action.slice(1)} failed`, caseNumber, editedFrom);
+    if (caseNumber && evidenceId) await setCaseModLogMessage(msg.guildId, caseNumber, evidenceId);
+    return { action: 'none', caseNumber };
   }
 
-  const t = normalizeForRepeat(text);
-  if (t.length >= 120) {
-    const window = 60;
-    const step = 20;
-    const seen = new Map();
-    for (let i = 0; i + window <= t.length; i += step) {
-      const chunk = t.slice(i, i + window);
-      seen.set(chunk, (seen.get(chunk) || 0) + 1);
+  if (action === 'ban') {
+    if (policy.ban_hours > 0) {
+      // clamped for values saved before /policy set capped ban_hours
+      const ms = Math.min(policy.ban_hours * 60 * 60 * 1000, MAX_DURATION_MS);
+      await addTimedAction({
+        guildId: msg.guildId,
+        userId: msg.author.id,
+        kind: 'tempban',
+        reason,
+        caseNumber,
+        expiresAt: new Date(Date.now() + ms),
+      });
+      await msg.channel.send(`${msg.author.tag} was banned for ${formatDuration(ms)}.`);
+    } else {
+      await msg.channel.send(`${msg.author.tag} was banned.`);
     }
-    if ([...seen.values()].some(c => c >= 3)) return true;
+  } else if (action === 'kick') {
+    await msg.channel.send(`${msg.author.tag} was kicked.`);
+  } else if (action === 'timeout') {
+    const timeoutMs = policy.timeout_minutes * 60 * 1000;
+    await setStrikeTimeout({
+      guildId: msg.guildId,
+      userId: msg.author.id,
+      until: new Date(Date.now() + timeoutMs),
+    });
+    await msg.reply(`⏳ Timed out for ${policy.timeout_minutes}m.`);
+  } else if (action === 'warn' && !quiet) {
+    await msg.reply(warning || `⚠️ ${msg.author}, warning: ${reason}`);
   }
-  return false;
+
+  if (action !== 'none') {
+    const label = action[0].toUpperCase() + action.slice(1);
+    const evidenceId = await logEvidence(msg.guild, msg, reason, label, caseNumber, editedFrom);
+    if (caseNumber && evidenceId) await setCaseModLogMessage(msg.guildId, caseNumber, evidenceId);
+  }
+
+  return { action, caseNumber };
+}
+
+// Our own deletions are remembered briefly so the delete audit doesn't echo them.
+const botDeletions = new Set();
+async function deleteAsBot(msg) {
+  botDeletions.add(msg.id);
+  setTimeout(() => botDeletions.delete(msg.id), 60 * 1000);
+  await msg.delete().catch(() => {});
+}
+
+// Deletes a message and logs it; dry-run guilds only get the log row.
+// `caseNumber` is the case of the strike for the same incident, which the deletion joins.
+async function removeMessage(msg, reason, { actor = BOT_ACTOR, dryRun = false, backends = {}, editedFrom = null, links = null, mentions = null, filter = null, caseNumber = null } = {}) {
+  if (!dryRun) await deleteAsBot(msg);
+  await recordLog(msg, { action: 'delete', reason, actor, dryRun, backends, editedFrom, links, mentions, filter });
+  await joinCase(msg.guildId, caseNumber);
+}
+
+async function joinCase(guildId, caseNumber) {
+  if (!caseNumber) return;
+  await addDeletionToCase(guildId, caseNumber).catch(e => console.error('addDeletionToCase failed:', e));
 }
 
-function countEmojis(text) {
-  const emojiRegex = /[\u{1F1E6}-\u{1FAFF}\u{1F300}-\u{1F6FF}\u{1F900}-\u{1F9FF}\u{2600}-\u{27BF}\u{FE0F}]/gu;
-  const m = (text || '').match(emojiRegex);
-  return m ? m.length : 0;
+// A filter rule's 'warn': a reply and a logged warning, but no strike on the ladder.
+async function warnMessage(msg, reason, { quiet = false, dryRun = false, backends = {}, editedFrom = null, filter = null } = {}) {
+  if (!dryRun && !quiet) await msg.reply(`⚠️ ${msg.author}, warning: ${reason}`).catch(() => {});
+  await recordLog(msg, { action: 'warn', reason, dryRun, backends, editedFrom, filter });
 }
 
-async function deleteRecentDuplicates(msg, normalizedTarget, scanLimit = 50, maxAgeMs = 10 * 60 * 1000) {
+async function deleteRecentDuplicates(msg, normalizedTarget, scanLimit = 50, maxAgeMs = 10 * 60 * 1000, { dryRun = false, caseNumber = null } = {}) {
+  if (dryRun) {
+    await recordLog(msg, { action: 'delete', reason: 'Spam (duplicate copypasta)', dryRun });
+    return;
+  }
   try {
     const fetched = await msg.channel.messages.fetch({ limit: scanLimit });
     const now = Date.now();
@@ -228,42 +659,70 @@ async function deleteRecentDuplicates(msg, normalizedTarget, scanLimit = 50, max
       (now - m.createdTimestamp) <= maxAgeMs
     );
     for (const m of targets.values()) {
-      await m.delete().catch(() => {});
+      await deleteAsBot(m);
     }
-    await recordLog(msg, { action: 'delete' });
+    await recordLog(msg, { action: 'delete', reason: 'Spam (duplicate copypasta)' });
+    await joinCase(msg.guildId, caseNumber);
   } catch (e) {
     console.error('deleteRecentDuplicates error:', e);
   }
 }
 
+// Cross-channel spam: deletes every tracked copy, whichever channel it's in, under one log row.
+async function deleteCopiesEverywhere(msg, copies, reason, { dryRun = false, caseNumber = null } = {}) {
+  if (!dryRun) {
+    for (const c of copies) {
+      if (c.messageId === msg.id) {
+        await deleteAsBot(msg);
+        continue;
+      }
+      const chan = msg.guild.channels.cache.get(c.channelId);
+      const copy = await chan?.messages.fetch(c.messageId).catch(() => null);
+      if (copy) await deleteAsBot(copy);
+    }
+  }
+  await recordLog(msg, { action: 'delete', reason, dryRun });
+  await joinCase(msg.guildId, caseNumber);
+}
+
 // ---------- tone classifier & callout ----------
-async function classifyBehavior(text) {
-  if (!text || !text.trim()) {
-    return { passive_aggressive: false, condescending: false, provocation: false, toxicity: 'none' };
-  }
-  const resp = await openai.chat.completions.create({
-    model: 'gpt-4o-mini',
-    temperature: 0,
-    response_format: { type: 'json_object' },
-    messages: [
-      {
-        role: 'system',
-        content:
-`You label chat messages for moderation tone. Output strict JSON with keys:
-- passive_aggressive: boolean
-- condescending: boolean  (talking down, superiority/flexing/"big-dicking")
-- provocation: boolean    (baiting/escalating)
-- toxicity: "none"|"low"|"medium"|"high"
-No extra text.`
-      },
-      { role: 'user', content: text }
-    ]
-  });
-  try {
-    return JSON.parse(resp.choices[0].message.content);
-  } catch {
-    return { passive_aggressive: false, condescending: false, provocation: false, toxicity: 'none' };
+// Moderation + tone go through classifiers.js: backends from MODERATION_BACKENDS
+// (default openai,local), falling back to the offline rules when a call fails.
+// Verdicts are cached in Postgres by normalized-text hash (see /cachestats).
+const classificationCache = createClassificationCache({ get: getCachedClassification, set: setCachedClassification });
+const moderationBackends = backendsFromEnv(process.env.MODERATION_BACKENDS, { openai });
+const classifier = classificationCache.wrap(createClassifier(moderationBackends));
+
+// See classifyInContext: only a flagged verdict is judged again with the conversation around it.
+function classifyBehavior(text, getContext = null) {
+  return classifyInContext(classifier.classifyTone, text, getContext);
+}
+
+// Reply target, the last few channel messages before this one and, for whoever the
+// author is talking to, how their past back-and-forths went. null if there's nothing.
+async function buildToneContext(msg, policy, now) {
+  const replied = msg.reference ? await msg.fetchReference().catch(() => null) : null;
+  const recent = (messageHistory.get(msg.channelId) || [])
+    .filter(e => e.time < now)
+    .slice(-TONE_CONTEXT_MESSAGES)
+    .map(e => ({ user_id: e.user, content: e.text.slice(0, 300) }));
+
+  const otherId = replied && !replied.author.bot && replied.author.id !== msg.author.id
+    ? replied.author.id
+    : [...recent].reverse().find(e => e.user_id !== msg.author.id)?.user_id;
+  let pair = null;
+  if (otherId) {
+    const { exchanges, incidents } = await getPairHistory({ guildId: msg.guildId, userA: msg.author.id, userB: otherId });
+    pair = { user_id: otherId, exchanges, incidents, familiar: isFamiliarPair({ exchanges, incidents }, policy) };
   }
+
+  if (!replied && !recent.length) return null;
+  return {
+    author_id: msg.author.id,
+    reply_to: replied ? { user_id: replied.author.id, content: (replied.content || '').slice(0, 300) } : null,
+    recent,
+    pair,
+  };
 }
 
 async function generateContextualCallout(message, tone, userHistory) {
@@ -307,42 +766,18 @@ STYLE:
   }
 }
 
-function getUserModerationHistory(userId) {
-  const existing = userModerationState.get(userId) || {
-    warningCount: 0,
-    lastIncident: 0,
-    timeoutUntil: 0,
-    pattern: 'first incident'
+// Read view over the strike ladder, shaped for the callout prompt + cooldowns.
+// Strikes older than the guild's strike_decay_days read as 0 ("clean slate").
+async function getUserModerationHistory(guildId, userId, { dryRun = false } = {}) {
+  const policy = await getPolicy(guildId);
+  const state = await getStrikeState({ guildId, userId, decayMs: strikeDecayMs(policy), dryRun });
+
+  return {
+    warningCount: state.count,
+    pattern: ladderPattern(state.count, state.decayed),
+    timeoutUntil: state.timeoutUntil ? new Date(state.timeoutUntil).getTime() : 0,
+    lastToneReply: state.lastToneReplyAt ? new Date(state.lastToneReplyAt).getTime() : 0,
   };
-  const days = (Date.now() - existing.lastIncident) / (1000 * 60 * 60 * 24);
-  if (days > 7) {
-    existing.warningCount = 0;
-    existing.pattern = 'clean slate';
-  }
-  return existing;
-}
-
-function updateModerationHistory(userId, toneIssues) {
-  const history = getUserModerationHistory(userId);
-  history.warningCount += 1;
-  history.lastIncident = Date.now();
-
-  if (history.warningCount === 1) history.pattern = 'first incident';
-  else if (history.warningCount <= 3) history.pattern = 'repeat behavior';
-  else history.pattern = 'chronic issue';
-
-  if (toneIssues.toxicity === 'high' || history.warningCount >= 4) {
-    const timeoutMinutes = Math.min(history.warningCount * 10, 60);
-    history.timeoutUntil = Date.now() + (timeoutMinutes * 60 * 1000);
-  }
-
-  userModerationState.set(userId, history);
-  return history;
-}
-
-function isUserInTimeout(userId) {
-  const history = getUserModerationHistory(userId);
-  return Date.now() < history.timeoutUntil;
 }
 
 // ---------- ROBUST PROFILING ----------
@@ -358,14 +793,16 @@ async function robustAnalyzeUserProfile(text, userId) {
   // 1) Ask LLM for structured analysis
   let analysis;
   try {
-    const resp = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
-      temperature: 0,
-      response_format: { type: 'json_object' },
-      messages: [
-        {
-          role: 'system',
-          content:
+    // same text -> same analysis, so this goes through the classification cache too
+    analysis = await classificationCache.through('profile', text, async (input) => {
+      const resp = await openai.chat.completions.create({
+        model: 'gpt-4o-mini',
+        temperature: 0,
+        response_format: { type: 'json_object' },
+        messages: [
+          {
+            role: 'system',
+            content:
 `You are a cautious behavioral analyst. Produce *non-clinical* inferences only.
 Return STRICT JSON with keys:
 - age_range: "under_18"|"18_25"|"26_35"|"35_plus"|"unknown"
@@ -388,11 +825,12 @@ Rules:
 - Do NOT include clinical labels or diagnoses.
 - Do NOT include protected attributes (race, religion, etc.).
 - Output JSON only.`
-        },
-        { role: 'user', content: text }
-      ]
+          },
+          { role: 'user', content: input }
+        ]
+      });
+      return { ...JSON.parse(resp.choices[0].message.content), backend: 'openai' };
     });
-    analysis = JSON.parse(resp.choices[0].message.content);
   } catch (e) {
     console.error('robustAnalyzeUserProfile: LLM failed', e);
     return;
@@ -475,137 +913,386 @@ Rules:
 }
 
 // ---------- moderation core ----------
-async function handleModeration(msg) {
-  if (DISABLED_GUILDS.has(msg.guildId)) return;
-  if (shadowBanned.has(msg.author.id)) {
-    await msg.delete().catch(() => {});
+// `editedFrom` (string, or '' when the old content wasn't cached) marks a re-check of
+// an edited message: content checks run again, posting-rate checks and profiling don't.
+async function handleModeration(msg, { editedFrom = null } = {}) {
+  if (!(await isModerationEnabled(msg.guildId))) return;
+  const edited = editedFrom !== null;
+  // dry run: every check below still runs, but nothing is replied/deleted/sanctioned
+  const dryRun = await isDryRun(msg.guildId);
+  if (await isShadowbanned({ guildId: msg.guildId, userId: msg.author.id })) {
+    if (dryRun) await recordLog(msg, { action: 'delete', reason: 'Shadowbanned', dryRun });
+    else await deleteAsBot(msg);
     return;
   }
 
-  try {
-    await saveConversationMessage({
-      channelId: msg.channelId,
-      guildId: msg.guildId,
-      userId: msg.author.id,
-      role: 'user',
-      content: msg.content
-    });
-  } catch (e) { /* non-fatal */ }
-
-  const history = messageHistory.get(msg.channelId) || [];
-  history.push({ text: msg.content, time: Date.now(), user: msg.author.id });
-  if (history.length > 10) history.shift();
-  messageHistory.set(msg.channelId, history);
-
-  const userMsgs = history.filter((h) => h.user === msg.author.id);
-  if (userMsgs.length >= 5 && Date.now() - userMsgs[0].time < 5000) {
-    await escalate(msg, 'Spam (too many messages)');
-    await msg.delete().catch(() => {});
-    await recordLog(msg, { action: 'delete' });
-    return;
+  if (!edited) {
+    try {
+      await saveConversationMessage({
+        channelId: msg.channelId,
+        guildId: msg.guildId,
+        userId: msg.author.id,
+        role: 'user',
+        content: msg.content
+      });
+    } catch (e) { /* non-fatal */ }
   }
 
-  if (hasCopypastaInSingleMessage(msg.content)) {
-    await escalate(msg, 'Spam (copypasta in single message)');
-    await msg.delete().catch(() => {});
-    await recordLog(msg, { action: 'delete' });
-    return;
+  const { profile, skip } = resolveExemptions(await getCachedScopes(msg.guildId), {
+    channelId: msg.channelId,
+    parentId: msg.channel.isThread?.() ? msg.channel.parentId : null,
+    roleIds: [...(msg.member?.roles.cache.keys() || [])],
+  });
+  // a channel profile relaxes the guild policy for that channel only
+  const policy = { ...(await getPolicy(msg.guildId)), ...profile?.overrides };
+  const now = Date.now();
+  // an edit isn't a new post, so it neither counts toward nor trips flood/duplicate checks
+  const history = edited
+    ? []
+    : trackMessage(messageHistory, msg.channelId, { text: msg.content, time: now, user: msg.author.id }, policy);
+  const postWindow = edited ? null : trackUserPosts(userPostHistory, `${msg.guildId}:${msg.author.id}`, {
+    text: normalizeForRepeat(msg.content),
+    time: now,
+    channelId: msg.channelId,
+    messageId: msg.id,
+  }, policy);
+  // edits never ping anyone, so only new messages feed the mention window
+  const mentionWindow = edited ? null : trackMentions(mentionHistory, `${msg.guildId}:${msg.author.id}`, {
+    time: now,
+    // a reply's ping to the replied-to author isn't a mention the sender typed
+    users: [...msg.mentions.users.keys()].filter(id => id !== msg.author.id && id !== msg.mentions.repliedUser?.id),
+    roles: [...msg.mentions.roles.keys()],
+    // members allowed to ping everyone are exempt; for everyone else it's an attempt even if Discord swallows it
+    everyone: /@(everyone|here)\b/.test(msg.content) && !msg.member?.permissions.has(PermissionFlagsBits.MentionEveryone),
+  }, policy);
+
+  // checks live in moderation.js; this wires them to Discord, OpenAI and Postgres
+  const backends = {}; // filled in as each classifier answers, stamped on every log row
+  // a slowed channel already got its de-escalation notice; per-user callouts would just add noise
+  const quiet = slowedChannels.has(msg.channelId);
+  let incidentCase = null; // the strike's case, which a deletion of this message joins
+  const result = await moderateMessage(msg.content, {
+    policy,
+    now,
+    skip,
+    userMsgs: history.filter((h) => h.user === msg.author.id),
+    moderate: async (text) => {
+      const result = await classifier.moderate(text);
+      backends.moderation = result.backend;
+      return result;
+    },
+    classify: async (text) => {
+      const tone = await classifyBehavior(text, () => buildToneContext(msg, policy, now));
+      backends.tone = tone.backend;
+      backends.toneContext = tone.context;
+      return tone;
+    },
+    history: () => getUserModerationHistory(msg.guildId, msg.author.id, { dryRun }),
+    mentionWindow,
+    postWindow,
+    removeCopies: (copies, reason) => deleteCopiesEverywhere(msg, copies, reason, { dryRun, caseNumber: incidentCase }),
+    strike: async (reason, { warning, links, mentions, filter } = {}) => {
+      const { action, caseNumber } = await escalate(msg, reason, { warning, quiet, dryRun, backends, editedFrom, links, mentions, filter });
+      incidentCase ??= caseNumber;
+      return action;
+    },
+    remove: (reason, { links, mentions, filter } = {}) => removeMessage(msg, reason, { dryRun, backends, editedFrom, links, mentions, filter, caseNumber: incidentCase }),
+    warn: (reason, { filter } = {}) => warnMessage(msg, reason, { quiet, dryRun, backends, editedFrom, filter }),
+    matchFilters: async (text) => matchFilters(text, (await getCachedFilters(msg.guildId)).compiled),
+    scanLinks: () => scanMessageLinks(msg),
+    // attachments can't be added by an edit, so edits never rescan them
+    scanAttachments: () => (edited ? [] : scanMessageAttachments(msg, policy)),
+    removeDuplicates: (normalized) => deleteRecentDuplicates(msg, normalized, 50, 10 * 60 * 1000, { dryRun, caseNumber: incidentCase }),
+    // no callout is posted in dry run or a slowed channel, so don't pay for generating one
+    callout: (tone, userHistory) => (dryRun || quiet ? null : generateContextualCallout(msg.content, tone, userHistory)),
+    toneReplied: () => recordToneReply({ guildId: msg.guildId, userId: msg.author.id, dryRun }),
+    log: (fields) => recordLog(msg, { ...fields, action: 'none', dryRun, backends, editedFrom }),
+  });
+  const { actions } = result;
+  // slowmode is a real action, so dry-run guilds don't build heat
+  if (!edited && !dryRun && isHeatedMessage(result)) {
+    await noteChannelHeat(msg, policy, now).catch(e => console.error('Channel heat check failed:', e));
   }
+  if (actions.includes('delete') || edited) return;
 
-  const normalizedBatch = userMsgs.map((h) => normalizeForRepeat(h.text));
-  if (normalizedBatch.length >= 3) {
-    const first = normalizedBatch[0];
-    const allSame = normalizedBatch.every(x => x === first) && first.length >= 20;
-    if (allSame) {
-      await escalate(msg, 'Spam (duplicate copypasta)');
-      await deleteRecentDuplicates(msg, first, 50, 10 * 60 * 1000);
-      return;
-    }
+  if (isTrivialText(msg.content)) {
+    classificationCache.stats.skipped += 1;
+  } else {
+    try {
+      await robustAnalyzeUserProfile(msg.content, msg.author.id);
+    } catch (e) { console.error('profiling pipeline error (non-fatal):', e); }
   }
+}
 
-  if (countEmojis(msg.content) >= 12) {
-    await escalate(msg, 'Spam (emoji flood)');
-    await msg.delete().catch(() => {});
-    await recordLog(msg, { action: 'delete' });
-    return;
+// ---------- channel heat ----------
+// heat_messages heated messages (tone-flagged or struck) from heat_users people within
+// heat_window_seconds put the channel in slowmode with one de-escalation notice. The
+// channel's own rate limit is stored first and put back after heat_cool_minutes without
+// a heated message, unless an officer changed the slowmode in the meantime.
+const channelHeat = new Map();    // channelId -> recent heated messages
+const slowedChannels = new Map(); // channelId -> channel_slowmodes row (loaded at startup)
+const DEESCALATION_NOTICE =
+  '🧊 This got heated, so slowmode is on for a bit. Take a breath before the next reply — ' +
+  'officers are around if something needs sorting out.';
+
+async function noteChannelHeat(msg, policy, now) {
+  const window = trackHeat(channelHeat, msg.channelId, { time: now, user: msg.author.id }, policy);
+  const active = slowedChannels.get(msg.channelId);
+  if (active) {
+    active.last_heat_at = new Date(now);
+    return touchSlowmode(msg.channelId);
   }
-
-  const modRes = await openai.moderations.create({
-    model: 'omni-moderation-latest',
-    input: msg.content,
+  if (!isOverheated(window, policy) || typeof msg.channel.setRateLimitPerUser !== 'function') return;
+  const original = msg.channel.rateLimitPerUser || 0;
+  if (original >= policy.heat_slowmode_seconds) return; // already at least this slow
+
+  const row = await startSlowmode({
+    channelId: msg.channelId,
+    guildId: msg.guildId,
+    originalRate: original,
+    appliedRate: policy.heat_slowmode_seconds,
   });
-  const flagged = modRes.results[0];
-  if (flagged.flagged) {
-    if (flagged.categories.harassment) {
-      await escalate(msg, 'Harassment');
-    } else if (flagged.categories.hate || flagged.categories.violence) {
-      await escalate(msg, 'Severe hate/violence');
-    }
+  if (!row) return;
+  slowedChannels.set(msg.channelId, row);
+  channelHeat.delete(msg.channelId);
+  try {
+    await msg.channel.setRateLimitPerUser(policy.heat_slowmode_seconds, 'Channel heat');
+  } catch (e) {
+    slowedChannels.delete(msg.channelId);
+    await endSlowmode(msg.channelId);
+    throw e;
   }
+  await msg.channel.send(DEESCALATION_NOTICE).catch(() => {});
+  const users = new Set(window.map(e => e.user));
+  await sendModLog(msg.guild, {
+    content: `🔥 Slowmode ${policy.heat_slowmode_seconds}s in <#${msg.channelId}>: ${window.length} heated messages from ` +
+      `${users.size} members in ${policy.heat_window_seconds}s (${[...users].map(id => `<@${id}>`).join(', ')}). ` +
+      `Back to ${original ? `${original}s` : 'off'} after ${policy.heat_cool_minutes}m of calm.`,
+    allowedMentions: { parse: [] },
+  }).catch(() => {});
+}
 
-  const tone = await classifyBehavior(msg.content);
-
-  if (isUserInTimeout(msg.author.id)) {
-    await msg.delete().catch(() => {});
-    return;
+// Runs every minute; the first run (at startup) picks up slowmodes left on across a restart.
+async function sweepCooledChannels() {
+  for (const row of await getActiveSlowmodes()) {
+    try {
+      if (!slowedChannels.has(row.channel_id)) slowedChannels.set(row.channel_id, row);
+      const current = slowedChannels.get(row.channel_id);
+      const policy = await getPolicy(row.guild_id);
+      if (Date.now() - new Date(current.last_heat_at).getTime() < policy.heat_cool_minutes * 60 * 1000) continue;
+
+      const guild = client.guilds.cache.get(row.guild_id);
+      if (!guild) continue;
+      const ended = await endSlowmode(row.channel_id);
+      slowedChannels.delete(row.channel_id);
+      if (!ended) continue;
+      const channel = await guild.channels.fetch(row.channel_id).catch(() => null);
+      if (!channel) continue;
+
+      let note;
+      if (channel.rateLimitPerUser !== ended.applied_rate) {
+        note = `left at ${channel.rateLimitPerUser || 0}s (changed by hand while slowed)`;
+      } else {
+        const restored = ended.original_rate ? `${ended.original_rate}s` : 'off';
+        note = await channel.setRateLimitPerUser(ended.original_rate, 'Channel cooled down')
+          .then(() => `restored to ${restored}`)
+          .catch(e => `could not be restored to ${restored} (${e?.message || e}); please reset it by hand`);
+      }
+      await sendModLog(guild, {
+        content: `🧊 <#${row.channel_id}> cooled down: slowmode ${note}.`,
+        allowedMentions: { parse: [] },
+      }).catch(() => {});
+    } catch (e) {
+      console.error(`Slowmode cool-down for channel ${row.channel_id} failed:`, e);
+    }
   }
+}
 
-  const hasToneIssues =
-    tone.passive_aggressive || tone.condescending || tone.provocation || tone.toxicity !== 'none';
-
-  if (hasToneIssues) {
-    const now = Date.now();
-    const lastReply = lastToneReply.get(msg.author.id) || 0;
+// ---------- conflict detector ----------
+// classifyBehavior sees one message at a time. Every CONFLICT_SCAN_MINUTES each guild's
+// recent conversation_history is grouped per channel and checked for pairs trading
+// borderline messages (findConflicts). Officers get a mod-log alert with the excerpt,
+// repeated per pair only after conflict_alert_cooldown_minutes or when it gets worse.
+// Nobody is struck for it; that's the officers' call.
+const CONFLICT_SCAN_MINUTES = 5;
+const conflictAlerts = new Map(); // `${channelId}:${userA}:${userB}` -> { time, level }
+const CONFLICT_ICONS = { tense: '😬', heated: '🔥', hostile: '🚨' };
+
+function conflictExcerpt(guild, conflict, maxLines = 12) {
+  const lines = conflict.messages.slice(-maxLines).map(m => {
+    const heat = messageHeat(m.tone);
+    const name = guild.members.cache.get(m.user)?.displayName || m.user;
+    return `${heat >= 2 ? '🔥' : heat ? '•' : '◦'} **${name}:** ${m.text.replace(/\s+/g, ' ').slice(0, 120)}`;
+  });
+  while (lines.join('\n').length > 1024) lines.shift();
+  return lines.join('\n') || '(no text)';
+}
 
-    const userHistory = getUserModerationHistory(msg.author.id);
-    const cooldownMs = userHistory.warningCount > 2 ? 3000 : TONE_COOLDOWN_MS;
+function conflictTrend(trend) {
+  if (trend >= 0.5) return 'escalating';
+  if (trend <= -0.5) return 'cooling off';
+  return 'steady';
+}
 
-    if (now - lastReply >= cooldownMs) {
-      const calloutResponse = await generateContextualCallout(msg.content, tone, userHistory);
-      await msg.reply(calloutResponse);
-      lastToneReply.set(msg.author.id, now);
+async function scanGuildForConflicts(guild) {
+  if (!(await isModerationEnabled(guild.id))) return;
+  const policy = await getPolicy(guild.id);
+  const rows = await getRecentGuildMessages({ guildId: guild.id, minutes: policy.conflict_window_minutes });
+
+  const byChannel = new Map();
+  for (const r of rows) {
+    const list = byChannel.get(r.channel_id) || [];
+    list.push({
+      user: r.user_id,
+      text: r.content || '',
+      time: new Date(r.timestamp).getTime(),
+      // null when the message was never classified (trivial text, moderation off at the time)
+      tone: r.toxicity == null ? null : {
+        passive_aggressive: r.passive_aggr,
+        condescending: r.condescending,
+        provocation: r.provocation,
+        toxicity: r.toxicity,
+      },
+    });
+    byChannel.set(r.channel_id, list);
+  }
 
-      const updated = updateModerationHistory(msg.author.id, tone);
-      if (updated.timeoutUntil > Date.now()) {
-        const timeoutMinutes = Math.ceil((updated.timeoutUntil - Date.now()) / (1000 * 60));
-        try {
-          await msg.member.timeout(timeoutMinutes * 60 * 1000, 'Escalating behavioral issues');
-          await msg.reply(`🕐 Taking a ${timeoutMinutes}-minute break to cool down.`);
-        } catch (e) {
-          console.error('Failed to timeout user:', e);
-        }
-      }
+  const cooldownMs = policy.conflict_alert_cooldown_minutes * 60 * 1000;
+  for (const [channelId, messages] of byChannel) {
+    for (const c of findConflicts(messages, policy)) {
+      const key = `${channelId}:${[...c.users].sort().join(':')}`;
+      const prev = conflictAlerts.get(key);
+      const worse = prev && CONFLICT_LEVELS.indexOf(c.level) > CONFLICT_LEVELS.indexOf(prev.level);
+      if (prev && !worse && Date.now() - prev.time < cooldownMs) continue;
+      conflictAlerts.set(key, { time: Date.now(), level: c.level });
+
+      const [a, b] = c.users;
+      await sendModLog(guild, {
+        embeds: [{
+          title: `${CONFLICT_ICONS[c.level]} ${c.level[0].toUpperCase()}${c.level.slice(1)} back-and-forth in #${guild.channels.cache.get(channelId)?.name || channelId}`,
+          description:
+            `<@${a}> ↔ <@${b}> in <#${channelId}>\n` +
+            `**Exchanges:** ${c.exchanges} in the last ${policy.conflict_window_minutes}m · ` +
+            `**Heated messages:** ${c.heated} of ${c.messages.length} · **Trend:** ${conflictTrend(c.trend)}\n` +
+            'No one has been struck for this; it may need an officer to step in.',
+          fields: [{ name: 'Excerpt', value: conflictExcerpt(guild, c) }],
+          timestamp: new Date().toISOString(),
+        }],
+      }).catch(e => console.error('Failed to post conflict alert:', e));
     }
   }
+}
 
-  if (tone.toxicity === 'high' || (tone.toxicity === 'medium' && (tone.condescending || tone.provocation))) {
-    await escalate(msg, `Hostile tone (${tone.toxicity})`);
+async function scanForConflicts() {
+  const cutoff = Date.now() - 24 * 60 * 60 * 1000;
+  for (const [key, alert] of conflictAlerts) if (alert.time < cutoff) conflictAlerts.delete(key);
+  for (const guild of client.guilds.cache.values()) {
+    await scanGuildForConflicts(guild).catch(e => console.error(`Conflict scan failed for ${guild.id}:`, e));
   }
+}
 
-  if (/stupid bot|fuck you/i.test(msg.content)) {
-    await escalate(msg, 'Insulting the bot');
-  }
+// ---------- weekly report ----------
+// Every WEEKLY_REPORT_WEEKDAY at WEEKLY_REPORT_HOUR (UTC) the mod-log channel gets the past
+// week's numbers next to the week before. The hourly sweep claims the slot in guild_settings,
+// so a restart neither skips nor repeats a report.
+const WEEKLY_REPORT_WEEKDAY = 1; // Monday
+const WEEKLY_REPORT_HOUR = 9;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+// field name -> [getModerationReport count, label]
+const REPORT_CATEGORIES = [
+  ['Content', [['harassment', 'harassment'], ['hate', 'hate'], ['violence', 'violence']]],
+  ['Tone', [['passive_aggr', 'passive-aggressive'], ['condescending', 'condescending'], ['provocation', 'provocation'], ['hostile', 'hostile']]],
+  ['Spam', [['spam_flood', 'flooding'], ['spam_copypasta', 'copypasta'], ['spam_cross_channel', 'cross-channel'], ['spam_emoji', 'emoji'], ['spam_mentions', 'mass mentions']]],
+  ['Other', [['unsafe_links', 'unsafe links'], ['filter_hits', 'filter rules'], ['actioned', 'messages actioned']]],
+];
+
+// The latest report slot at or before `now`.
+function lastReportSlot(now = new Date()) {
+  const slot = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), WEEKLY_REPORT_HOUR));
+  slot.setUTCDate(slot.getUTCDate() - ((slot.getUTCDay() - WEEKLY_REPORT_WEEKDAY + 7) % 7));
+  if (slot > now) slot.setUTCDate(slot.getUTCDate() - 7);
+  return slot;
+}
 
-  await recordLog(msg, {
-    harassment: !!flagged?.categories?.harassment,
-    hate: !!flagged?.categories?.hate,
-    violence: !!flagged?.categories?.violence,
-    tone: {
-      passive_aggressive: !!tone.passive_aggressive,
-      condescending: !!tone.condescending,
-      provocation: !!tone.provocation,
-      toxicity: tone.toxicity || 'none'
-    },
-    action: 'none'
+const trend = (cur, prev) => (cur === prev ? '=' : cur > prev ? `▲${cur - prev}` : `▼${prev - cur}`);
+const percent = (n, of) => (of ? `${((n / of) * 100).toFixed(1)}%` : 'n/a');
+
+function weeklyReportEmbed(cur, prev, from, to) {
+  const c = cur.counts;
+  const p = prev.counts;
+  const fields = REPORT_CATEGORIES.map(([name, keys]) => ({
+    name,
+    value: keys.map(([k, label]) => `${label}: **${c[k]}** (${trend(c[k], p[k])})`).join('\n'),
+    inline: true,
+  }));
+  fields.push({
+    name: 'Busiest channels',
+    value: cur.channels.length
+      ? cur.channels.map(r => `<#${r.channel_id}> — ${r.incidents} incidents in ${r.messages} messages`).join('\n')
+      : 'none',
   });
+  fields.push({
+    name: 'Repeat offenders',
+    value: cur.offenders.length
+      ? cur.offenders.map(r => `<@${r.user_id}> — ${r.actions} actions, ${r.incidents} incidents`).join('\n')
+      : 'none',
+  });
+  fields.push({
+    name: 'Community votes',
+    value: `deletions: **${cur.votes.deletions}** (${trend(cur.votes.deletions, prev.votes.deletions)}), ` +
+      `overturned on appeal: ${cur.votes.overturned}` + (cur.votes.dry_run ? `, dry run: ${cur.votes.dry_run}` : ''),
+  });
+  fields.push({
+    name: 'Classifier fallbacks',
+    value: ['moderation', 'tone'].map(kind =>
+      `${kind}: **${percent(c[`${kind}_fallbacks`], c[`${kind}_calls`])}** of ${c[`${kind}_calls`]} messages ` +
+      `(week before: ${percent(p[`${kind}_fallbacks`], p[`${kind}_calls`])})`
+    ).join('\n'),
+  });
+  return {
+    title: '📊 Weekly moderation report',
+    description: `<t:${Math.floor(from.getTime() / 1000)}:f> – <t:${Math.floor(to.getTime() / 1000)}:f>, ` +
+      'compared with the week before (▲/▼). Messages count once per category.' +
+      (c.dry_run ? ` Dry-run messages aren't counted: ${c.dry_run} flagged this week.` : ''),
+    fields,
+    timestamp: to.toISOString(),
+  };
+}
 
-  try {
-    await robustAnalyzeUserProfile(msg.content, msg.author.id);
-  } catch (e) { console.error('profiling pipeline error (non-fatal):', e); }
+// null when the numbers couldn't be read
+async function buildWeeklyReport(guildId, to) {
+  const from = new Date(to.getTime() - WEEK_MS);
+  const primaryBackend = moderationBackends[0].name;
+  const [cur, prev] = await Promise.all([
+    getModerationReport({ guildId, from, to, primaryBackend }),
+    getModerationReport({ guildId, from: new Date(from.getTime() - WEEK_MS), to: from, primaryBackend }),
+  ]);
+  return cur && prev ? weeklyReportEmbed(cur, prev, from, to) : null;
+}
 
-  for (const att of msg.attachments.values()) {
-    if (att.contentType?.startsWith('image/')) {
-      await logEvidence(msg.guild, msg, 'Image posted (placeholder check)', 'ImageLog');
+async function sweepWeeklyReports() {
+  if (!MOD_LOG_CHANNEL_ID) return;
+  const slot = lastReportSlot();
+  for (const guild of client.guilds.cache.values()) {
+    try {
+      if (!(await isModerationEnabled(guild.id))) continue;
+      const chan = await guild.channels.fetch(MOD_LOG_CHANNEL_ID).catch(() => null);
+      if (!chan) continue;
+      // build first (reads only), claim, then send; a failed read or send leaves the slot open
+      // for the next hourly sweep, while the claim keeps two sweeps from both posting it
+      const embed = await buildWeeklyReport(guild.id, slot);
+      if (!embed) continue;
+      const claim = await claimWeeklyReport(guild.id, slot);
+      if (!claim) continue;
+      try {
+        await chan.send({ embeds: [embed] });
+      } catch (e) {
+        await releaseWeeklyReport(guild.id, slot, claim.previous)
+          .catch(err => console.error('releaseWeeklyReport failed:', err));
+        throw e;
+      }
+    } catch (e) {
+      console.error(`Weekly report for guild ${guild.id} failed:`, e);
     }
   }
 }
@@ -615,9 +1302,10 @@ async function handleAutoThreads(msg) {
   if (!msg.reference) return;
   const refMsg = await msg.fetchReference().catch(() => null);
   if (!refMsg) return;
+  const policy = await getPolicy(msg.guildId);
   const replies = await msg.channel.messages.fetch({ after: refMsg.id });
   const count = replies.filter(r => r.reference?.messageId === refMsg.id).size;
-  if (count >= 20 && !refMsg.hasThread) {
+  if (count >= policy.thread_reply_threshold && !refMsg.hasThread) {
     const thread = await refMsg.startThread({
       name: `Topic by ${refMsg.author.username}`,
       autoArchiveDuration: 60,
@@ -627,259 +1315,1999 @@ async function handleAutoThreads(msg) {
 }
 
 // ---------- community voting enforcement ----------
+// A 🚫 counts once per member, and only from members who aren't the author or a bot,
+// whose account is at least vote_min_account_days old, and whose own votes haven't been
+// overturned vote_overturn_limit times in the last VOTE_RECORD_DAYS. Each vote weighs
+// the highest /votes weight among the voter's roles (1 by default).
+const VOTE_RECORD_DAYS = 30;
+
+async function tallyVotes(msg, reaction, policy) {
+  const weights = await getVoteWeights(msg.guildId);
+  const maxWeight = Math.max(1, ...Object.values(weights));
+  if (reaction.count * maxWeight < policy.vote_threshold) return null; // can't reach it yet
+
+  const distrusted = new Set(
+    (await getVoterRecords({ guildId: msg.guildId, days: VOTE_RECORD_DAYS }))
+      .filter(r => r.overturned >= policy.vote_overturn_limit)
+      .map(r => r.voter_id)
+  );
+  const minAgeMs = policy.vote_min_account_days * 24 * 60 * 60 * 1000;
+  const users = await reaction.users.fetch();
+  const voters = [];
+  for (const user of users.values()) {
+    if (user.bot || user.id === msg.author.id || distrusted.has(user.id)) continue;
+    if (Date.now() - user.createdTimestamp < minAgeMs) continue;
+    const member = await msg.guild.members.fetch(user.id).catch(() => null);
+    if (!member) continue;
+    const weight = Math.max(1, ...member.roles.cache.map(r => weights[r.id] || 0));
+    voters.push({ id: user.id, weight });
+  }
+  return { voters, score: voters.reduce((n, v) => n + v.weight, 0) };
+}
+
 client.on(Events.MessageReactionAdd, async (reaction) => {
   if (reaction.emoji.name !== '🚫') return;
-  const msg = reaction.message;
-  if (!msg.guild) return;
-  await msg.fetch();
-  if (reaction.count >= 3) {
-    await escalate(msg, 'Community voted 🚫');
-    await msg.delete().catch(() => {});
-    await recordLog(msg, { action: 'delete' });
+  try {
+    if (reaction.partial) await reaction.fetch();
+    const msg = reaction.message.partial ? await reaction.message.fetch() : reaction.message;
+    if (!msg.guild || msg.author.bot) return;
+    const policy = await getPolicy(msg.guildId);
+    const tally = await tallyVotes(msg, reaction, policy);
+    if (!tally || tally.score < policy.vote_threshold) return;
+
+    const dryRun = await isDryRun(msg.guildId);
+    // claiming the message first stops later 🚫s from striking the author again
+    const vote = await recordVoteAction({
+      guildId: msg.guildId,
+      channelId: msg.channelId,
+      messageId: msg.id,
+      authorId: msg.author.id,
+      score: tally.score,
+      voters: tally.voters,
+      dryRun,
+    });
+    if (!vote) return;
+
+    // voters stay off the reason (it's DMed to the author); officers see them via /votes message
+    const reason = `Community voted 🚫 (${tally.voters.length} voters, score ${tally.score})`;
+    const { caseNumber } = await escalate(msg, reason, { actor: VOTE_ACTOR, dryRun });
+    await removeMessage(msg, reason, { actor: VOTE_ACTOR, dryRun, caseNumber });
+  } catch (e) {
+    console.error('Vote handling failed:', e);
   }
 });
 
+// Called when an appeal against a vote-triggered action is approved. Voters who hit
+// vote_overturn_limit with this one get flagged to officers (their votes stop counting).
+async function noteOverturnedVote(guild, messageId, officerId) {
+  const vote = await markVoteOverturned({ messageId, overturnedBy: officerId });
+  if (!vote || vote.dry_run) return;
+  const policy = await getPolicy(guild.id);
+  const records = await getVoterRecords({ guildId: guild.id, days: VOTE_RECORD_DAYS });
+  const voterIds = new Set(vote.voters.map(v => v.id));
+  const flagged = records.filter(r => voterIds.has(r.voter_id) && r.overturned === policy.vote_overturn_limit);
+  if (!flagged.length) return;
+  await sendModLog(guild, {
+    content:
+      `🗳️ Overturned votes: ${flagged.map(r => `<@${r.voter_id}> (${r.overturned} of ${r.votes})`).join(', ')} ` +
+      `in the last ${VOTE_RECORD_DAYS} days. Their 🚫 votes no longer count (see /votes voters).`,
+    allowedMentions: { parse: [] },
+  }).catch(e => console.error('Failed to flag voters:', e));
+}
+
 // ---------- anti-raid ----------
-client.on(Events.GuildMemberAdd, (member) => {
-  recentJoins.push(Date.now());
-  while (recentJoins.length && Date.now() - recentJoins[0] > 60000) {
-    recentJoins.shift();
-  }
-  if (recentJoins.length >= 5) {
-    const everyoneRole = member.guild.roles.everyone;
-    member.guild.channels.cache.forEach((ch) => {
-      if (ch.permissionsFor(everyoneRole)?.has(PermissionsBitField.Flags.SendMessages)) {
-        ch.permissionOverwrites.edit(everyoneRole, { SendMessages: false });
-      }
-    });
-    member.guild.systemChannel?.send('🚨 Anti-raid mode activated: chat locked.');
-  }
-});
+// Per guild: joins within raid_window_seconds >= raid_joins locks every text channel
+// @everyone can talk in. The prior SendMessages overwrite of each channel is stored
+// first, and unlocking (/raidend, or raid_quiet_minutes without a join) puts back
+// exactly that. Everyone who joined around the raid goes into a review embed.
+const RAID_LOCK_REASON = 'Anti-raid lock';
+const raidLocking = new Set(); // guildIds mid-lock, so a burst of joins locks once
+
+function joinerRecord(member) {
+  return {
+    userId: member.id,
+    username: member.user.username,
+    accountCreatedAt: member.user.createdAt,
+    defaultAvatar: !member.user.avatar,
+    joinedAt: new Date(),
+  };
+}
 
-// ---------- admin commands ----------
-client.on(Events.MessageCreate, async (msg) => {
-  if (!msg.guild || msg.author.bot) return;
-  const isOwner = msg.author.id === OWNER_ID;
-
-  if (isOwner) {
-    if (msg.content.startsWith('!forgive')) {
-      const target = msg.mentions.users.first();
-      if (target) {
-        strikes.delete(target.id);
-        await msg.reply(`🙏 Forgiven ${target.username}.`);
-      }
-    }
-
-    if (msg.content === '!disablemod') {
-      DISABLED_GUILDS.add(msg.guildId);
-      await msg.reply('🚫 Moderator disabled here.');
-    }
-
-    if (msg.content === '!enablemod') {
-      DISABLED_GUILDS.delete(msg.guildId);
-      await msg.reply('✅ Moderator enabled here.');
-    }
-
-    if (msg.content.startsWith('!shadowban')) {
-      const target = msg.mentions.users.first();
-      if (target) {
-        shadowBanned.add(target.id);
-        await msg.reply(`👻 Shadowbanned ${target.username}.`);
-      }
-    }
-
-    if (msg.content.startsWith('!unshadowban')) {
-      const target = msg.mentions.users.first();
-      if (target) {
-        shadowBanned.delete(target.id);
-        await msg.reply(`🌞 Un-shadowbanned ${target.username}.`);
-      }
-    }
-
-    // Enhanced profile inspection (pretty view)
-    if (msg.content.startsWith('!profile')) {
-      const target = msg.mentions.users.first();
-      if (target) {
-        const p = await getUserProfile(target.id);
-        if (p) {
-          const big = p.big5 ? `O:${(p.big5.O??0).toFixed(2)} C:${(p.big5.C??0).toFixed(2)} E:${(p.big5.E??0).toFixed(2)} A:${(p.big5.A??0).toFixed(2)} N:${(p.big5.N??0).toFixed(2)}` : 'n/a';
-          const comm = p.communication_style ? [
-            `direct:${(p.communication_style.directness??0).toFixed(2)}`,
-            `sarcasm:${(p.communication_style.sarcasm??0).toFixed(2)}`,
-            `humor:${(p.communication_style.humor??0).toFixed(2)}`,
-            `assert:${(p.communication_style.assertiveness??0).toFixed(2)}`,
-          ].join(' • ') : 'n/a';
-          const risk = p.risk_flags ? [
-            `troll:${(p.risk_flags.trollish??0).toFixed(2)}`,
-            `brigade:${(p.risk_flags.brigading??0).toFixed(2)}`,
-            `spam:${(p.risk_flags.spammy??0).toFixed(2)}`,
-            `conflict:${(p.risk_flags.conflict_prone??0).toFixed(2)}`,
-          ].join(' • ') : 'n/a';
-          const skill = p.skill_estimates?.programming_level || 'unknown';
-          await msg.reply(
-            `👤 Profile for <@${target.id}>:\n` +
-            `• Age: ${p.age_range || 'unknown'} (${((p.age_confidence??0)*100).toFixed(0)}% conf)\n` +
-            `• Gender: ${p.gender_likely || 'unknown'} (${((p.gender_confidence??0)*100).toFixed(0)}% conf)\n` +
-            `• Big5: ${big}\n` +
-            `• Comms: ${comm}\n` +
-            `• Risk: ${risk}\n` +
-            `• Skill: ${skill}\n` +
-            `• Interests: ${(p.interests||[]).slice(0,6).join(', ') || '—'}\n` +
-            `• Traits: ${(p.traits||[]).slice(0,6).join(', ') || '—'}\n` +
-            `• Flirty level: ${Math.round((p.flirty_level||0)*10)}/10\n` +
-            `• Confidence overall: ${((p.confidence_overall??0)*100).toFixed(0)}%\n` +
-            `• Last observed: ${p.last_observed_at || '—'}\n` +
-            `_Note: heuristic, non-clinical signals only._`
-          );
-        } else {
-          await msg.reply(`No profile data for <@${target.id}> yet.`);
-        }
-      }
-    }
+async function lockGuildForRaid(guild) {
+  const everyone = guild.roles.everyone;
+  const channels = [...guild.channels.cache.values()].filter(ch =>
+    ch.isTextBased() && !ch.isThread() &&
+    ch.permissionsFor(everyone)?.has(PermissionsBitField.Flags.SendMessages)
+  );
+  const snapshot = channels.map(ch => {
+    const ow = ch.permissionOverwrites.cache.get(everyone.id);
+    const send = ow?.allow.has(PermissionsBitField.Flags.SendMessages) ? true
+      : ow?.deny.has(PermissionsBitField.Flags.SendMessages) ? false
+      : null;
+    return { channelId: ch.id, send, existed: Boolean(ow) };
+  });
+
+  // snapshot is persisted before anything is touched, so a crash mid-lock can still be undone
+  const raid = await startRaid({ guildId: guild.id, snapshot });
+  if (!raid) return null;
+  for (const ch of channels) {
+    await ch.permissionOverwrites.edit(everyone, { SendMessages: false }, { reason: RAID_LOCK_REASON })
+      .catch(e => console.error(`Raid lock failed for #${ch.name}:`, e));
+  }
+  return raid;
+}
 
-    // Raw JSON (owner-only; dev/debug)
-    if (msg.content.startsWith('!profilejson')) {
-      const target = msg.mentions.users.first();
-      if (target) {
-        const p = await getUserProfile(target.id);
-        await msg.reply('```json\n' + JSON.stringify(p || {}, null, 2) + '\n```');
+async function unlockGuildAfterRaid(guild, raid) {
+  const everyone = guild.roles.everyone;
+  for (const s of raid.snapshot) {
+    const ch = guild.channels.cache.get(s.channelId);
+    if (!ch) continue;
+    try {
+      await ch.permissionOverwrites.edit(everyone, { SendMessages: s.send }, { reason: 'Anti-raid unlock' });
+      // drop an overwrite the lock created, unless officers put other bits on it meanwhile
+      const ow = ch.permissionOverwrites.cache.get(everyone.id);
+      if (!s.existed && ow && ow.allow.bitfield === 0n && ow.deny.bitfield === 0n) {
+        await ow.delete('Anti-raid unlock');
       }
+    } catch (e) {
+      console.error(`Raid unlock failed for #${ch.name}:`, e);
     }
+  }
+}
 
-    // --- ONE-TIME DM EVERYONE (display-name personalization, SILENT) ---
-    // Usage (multi-line ok): !dmallonce Your message with {display} and {server}
-    if (msg.content.startsWith('!dmallonce ')) {
-      const baseMsg = msg.content.replace(/^!dmallonce\s+/, '').trim();
-      if (!baseMsg) return;
-
-      // delete trigger so nothing appears in-channel
-      try {
-        if (msg.guild.members.me?.permissions.has(PermissionsBitField.Flags.ManageMessages)) {
-          await msg.delete().catch(() => {});
-        }
-      } catch {}
+function raidReviewEmbed(raid, joiners, decision = null) {
+  const flagged = joiners.filter(j => j.flags.length);
+  const lines = joiners.slice(0, 30).map(j =>
+    `${j.flags.length ? '⚠️' : '•'} <@${j.user_id}> \`${j.username}\`` +
+    `${j.flags.length ? ` — ${j.flags.join(', ')}` : ''}${j.review_action ? ` (${j.review_action})` : ''}`
+  );
+  if (joiners.length > 30) lines.push(`… and ${joiners.length - 30} more`);
+  const fields = decision ? [{ name: 'Decision', value: decision }] : [];
+  return {
+    title: `Raid #${raid.id} review`,
+    description:
+      `**Locked:** <t:${Math.floor(new Date(raid.started_at).getTime() / 1000)}:f>\n` +
+      `**Ended:** ${raid.ended_by ? `by <@${raid.ended_by}>` : 'automatically after a quiet period'}\n` +
+      `**Joiners:** ${joiners.length} (${flagged.length} flagged)\n\n${lines.join('\n') || 'No joiners recorded.'}`,
+    fields,
+    timestamp: new Date().toISOString(),
+  };
+}
 
-      // DM the owner (you) with status, never post in channel
-      const notify = async (text) => {
-        try { await msg.author.send(text); } catch { /* stay silent if DM closed */ }
-      };
+async function endRaid(guild, raid, endedBy = null) {
+  const ended = await finishRaid({ raidId: raid.id, endedBy });
+  if (!ended) return false;
+  await unlockGuildAfterRaid(guild, ended);
+  await guild.systemChannel?.send('✅ Anti-raid mode ended: chat unlocked.').catch(() => {});
+
+  const policy = await getPolicy(guild.id);
+  const joiners = flagRaidJoiners(await getRaidJoiners(raid.id), policy);
+  const hasFlagged = joiners.some(j => j.flags.length);
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`raid:kick:${raid.id}`).setLabel('Kick flagged').setStyle(ButtonStyle.Secondary).setDisabled(!hasFlagged),
+    new ButtonBuilder().setCustomId(`raid:ban:${raid.id}`).setLabel('Ban flagged').setStyle(ButtonStyle.Danger).setDisabled(!hasFlagged),
+    new ButtonBuilder().setCustomId(`raid:dismiss:${raid.id}`).setLabel('Dismiss').setStyle(ButtonStyle.Secondary)
+  );
+  const posted = await sendModLog(guild, { embeds: [raidReviewEmbed(ended, joiners)], components: [row] })
+    .catch(e => { console.error('Failed to post raid review:', e); return null; });
+  if (posted) await setRaidReviewMessage(raid.id, posted.id);
+  return true;
+}
 
-      await notify('🕊️ Starting one-time DM broadcast. Updates will be DM’d here.');
+// Runs every minute (and once at startup, so raids left locked across a restart still end).
+async function sweepQuietRaids() {
+  for (const raid of await getActiveRaids()) {
+    try {
+      const policy = await getPolicy(raid.guild_id);
+      if (Date.now() - new Date(raid.last_join_at).getTime() < policy.raid_quiet_minutes * 60 * 1000) continue;
+      const guild = client.guilds.cache.get(raid.guild_id);
+      if (guild) await endRaid(guild, raid);
+    } catch (e) {
+      console.error(`Auto raid unlock for raid #${raid.id} failed:`, e);
+    }
+  }
+}
 
-      const members = await msg.guild.members.fetch().catch(() => null);
-      if (!members) { await notify('❌ Could not fetch members.'); return; }
+client.on(Events.GuildMemberAdd, async (member) => {
+  const guild = member.guild;
+  try {
+    const policy = await getPolicy(guild.id);
+    const joiner = joinerRecord(member);
 
-      const humans = members.filter(m => !m.user.bot);
-      let attempted = 0, sent = 0, skipped = 0, failed = 0, cannotDM = 0;
+    const active = await getActiveRaid(guild.id);
+    if (active) {
+      await touchRaid(active.id);
+      await addRaidJoiner({ raidId: active.id, ...joiner });
+      return;
+    }
 
-      for (const m of humans.values()) {
-        if (alreadySentOnce(msg.guildId, m.user.id)) { skipped++; continue; }
+    const cutoff = Date.now() - policy.raid_window_seconds * 1000;
+    const joins = (recentJoins.get(guild.id) || []).filter(j => j.joinedAt.getTime() > cutoff);
+    joins.push(joiner);
+    recentJoins.set(guild.id, joins);
+    if (joins.length < policy.raid_joins || raidLocking.has(guild.id)) return;
+
+    raidLocking.add(guild.id);
+    try {
+      const raid = await lockGuildForRaid(guild);
+      if (!raid) return;
+      recentJoins.delete(guild.id);
+      for (const j of joins) await addRaidJoiner({ raidId: raid.id, ...j });
+      await guild.systemChannel?.send('🚨 Anti-raid mode activated: chat locked.').catch(() => {});
+      await tightenPendingVerifications(guild.id, policy.verify_raid_timeout_minutes);
+      await sendModLog(guild, {
+        content: `🚨 Raid #${raid.id}: ${joins.length} joins in ${policy.raid_window_seconds}s, ` +
+          `${raid.snapshot.length} channel(s) locked. Unlocks after ${policy.raid_quiet_minutes}m without joins, or use /raidend.`,
+      }).catch(() => {});
+    } finally {
+      raidLocking.delete(guild.id);
+    }
+  } catch (e) {
+    console.error('Anti-raid join handling failed:', e);
+  }
+});
 
-        const display = m.displayName || m.user.globalName || m.user.username;
-        const personalized = baseMsg
-          .replaceAll('{display}', display)
-          .replaceAll('{server}', msg.guild.name);
+async function handleRaidReviewInteraction(interaction) {
+  const [, step, rawId] = interaction.customId.split(':');
+  if (!(await canUseCommand(interaction, 'mod'))) {
+    return interaction.reply({ content: '🔒 Only moderators can review raids.', flags: MessageFlags.Ephemeral });
+  }
+  const raid = await getRaid(Number(rawId));
+  if (!raid || raid.guild_id !== interaction.guildId) {
+    return interaction.reply({ content: 'Unknown raid.', flags: MessageFlags.Ephemeral });
+  }
+  const policy = await getPolicy(interaction.guildId);
 
-        try {
-          await m.send(personalized + '\n\n—\n(This is a one-time personal invite from the server admin.)');
-          markSentOnce(msg.guildId, m.user.id);
-          sent++;
-        } catch (e) {
-          failed++;
-          if (e?.code === 50007) cannotDM++;
-        }
+  if (step === 'dismiss') {
+    const joiners = flagRaidJoiners(await getRaidJoiners(raid.id), policy);
+    return interaction.update({
+      embeds: [raidReviewEmbed(raid, joiners, `Dismissed by <@${interaction.user.id}>`)],
+      components: [],
+    });
+  }
 
-        attempted++;
-        if (attempted % 25 === 0) {
-          await notify(`Progress: sent ${sent}, failed ${failed}, skipped ${skipped}…`);
-        }
-        await new Promise(r => setTimeout(r, 1100)); // gentle pacing
+  await interaction.deferUpdate();
+  const action = step === 'ban' ? 'ban' : 'kick';
+  const reason = `Raid #${raid.id} review`;
+  const targets = flagRaidJoiners(await getRaidJoiners(raid.id), policy)
+    .filter(j => j.flags.length && !j.review_action);
+  const done = [];
+  for (const j of targets) {
+    try {
+      if (action === 'ban') {
+        await interaction.guild.bans.create(j.user_id, { reason });
+      } else {
+        const member = await interaction.guild.members.fetch(j.user_id).catch(() => null);
+        if (!member) continue; // already gone
+        await member.kick(reason);
       }
+      await createCase({
+        guildId: interaction.guildId,
+        userId: j.user_id,
+        action,
+        actorType: 'officer',
+        actorId: interaction.user.id,
+        reason: `${reason} (${j.flags.join(', ')})`,
+      });
+      done.push(j.user_id);
+    } catch (e) {
+      console.error(`Raid review ${action} failed for ${j.user_id}:`, e);
+    }
+  }
+  await setRaidJoinersReviewed(raid.id, done, action);
 
-      if (!dmOnceStore.guilds[msg.guildId]) dmOnceStore.guilds[msg.guildId] = { sentTo: {}, runs: [] };
-      dmOnceStore.guilds[msg.guildId].runs.push({ at: Date.now(), results: { attempted, sent, skipped_existing: skipped, failed, cannot_dm: cannotDM } });
-      await saveDmOnce();
+  const joiners = flagRaidJoiners(await getRaidJoiners(raid.id), policy);
+  const verb = action === 'ban' ? 'Banned' : 'Kicked';
+  await interaction.editReply({
+    embeds: [raidReviewEmbed(raid, joiners, `${verb} ${done.length} flagged joiner(s) — <@${interaction.user.id}>`)],
+    components: [],
+  });
+}
 
-      await notify(`✅ Done.\n• Sent: ${sent}\n• Failed: ${failed} (closed DMs: ${cannotDM})\n• Skipped (already sent): ${skipped}`);
-      return;
+client.on(Events.InteractionCreate, async (interaction) => {
+  if (!interaction.isButton() || !interaction.customId.startsWith('raid:')) return;
+  try {
+    await handleRaidReviewInteraction(interaction);
+  } catch (e) {
+    console.error('Raid review interaction failed:', e);
+    if (!interaction.replied && !interaction.deferred) {
+      await interaction.reply({ content: '❌ Something went wrong with that review.', flags: MessageFlags.Ephemeral }).catch(() => {});
     }
+  }
+});
 
-    // Reset "already sent" map (silent)
-    if (msg.content === '!dmallreset') {
-      // delete trigger to keep silent
-      try {
-        if (msg.guild.members.me?.permissions.has(PermissionsBitField.Flags.ManageMessages)) {
-          await msg.delete().catch(() => {});
-        }
-      } catch {}
+// ---------- verification gate ----------
+// Optional (/verification). New members get the quarantine role and a pending row;
+// the panel in the verify channel walks them through the club rules and a question.
+// Passing removes the role; failing, or running past the deadline, is a kick.
+// While a raid is active the gate tightens: shorter deadline, more questions, fewer tries.
+// customIds: verify:start (panel), verify:ack, verify:answer:<choice>
+const PERSONA_PATH = process.env.PERSONA_PATH || './persona/kmwyl.json';
+let clubRules = null;
+
+async function getClubRules() {
+  if (clubRules) return clubRules;
+  try {
+    const persona = JSON.parse(await fs.readFile(PERSONA_PATH, 'utf8'));
+    clubRules = persona.club?.rules || [];
+  } catch (e) {
+    console.error('Failed to load club rules:', e);
+    return [];
+  }
+  return clubRules;
+}
 
-      dmOnceStore.guilds[msg.guildId] = { sentTo: {}, runs: [] };
-      await saveDmOnce();
-      try { await msg.author.send('♻️ Reset done. The bot will treat everyone as not-yet-messaged.'); } catch {}
-      return;
+const VERIFY_OUTCOMES = {
+  passed: '✅ passed verification',
+  failed: '❌ failed verification and was kicked',
+  timed_out: '⌛ did not verify in time and was kicked',
+  left: '🚪 left before verifying',
+};
+
+// Records the outcome (once) and acts on it; returns the finished row or null.
+async function concludeVerification(guild, userId, status) {
+  const member = await guild.members.fetch(userId).catch(() => null);
+  if (!member) status = 'left';
+  const v = await finishVerification({ guildId: guild.id, userId, status });
+  if (!v) return null;
+
+  if (status === 'passed') {
+    const { roleId } = await getVerificationSettings(guild.id);
+    if (roleId) await member.roles.remove(roleId, 'Verification passed').catch(e => console.error('Failed to lift quarantine:', e));
+  } else if (status !== 'left') {
+    const reason = status === 'failed' ? 'Failed verification' : 'Did not verify in time';
+    await member.send(`You were removed from **${guild.name}**: ${reason.toLowerCase()}. You're welcome to rejoin and try again.`).catch(() => {});
+    try {
+      await member.kick(reason);
+      await createCase({ guildId: guild.id, userId, action: 'kick', actorType: BOT_ACTOR.type, actorId: null, reason });
+    } catch (e) {
+      console.error(`Verification kick failed for ${userId}:`, e);
     }
+  }
 
-    // Run DB cleanup
-    if (msg.content === '!cleanup') {
-      await runDailyCleanup();
-      await msg.reply('🧹 Database cleanup completed!');
-    }
+  await sendModLog(guild, {
+    content: `🛂 <@${userId}> ${VERIFY_OUTCOMES[status]} — ${v.correct} right, ${v.wrong} wrong${v.raid_mode ? ' · raid mode' : ''}`,
+    allowedMentions: { parse: [] },
+  }).catch(e => console.error('Failed to log verification:', e));
+  return v;
+}
 
-    // SUS reports
-    if (msg.content.startsWith('!sus ')) {
-      const m = msg.content.split(/\s+/);
-      const target = msg.mentions.users.first();
-      const hours = Number(m[m.length - 1]) || 24;
-      if (!target) return msg.reply('Usage: `!sus @user [hours]`');
-      const s = await getUserBehaviorSummary({ userId: target.id, hours });
-      await msg.reply(
-        `🕵️ Report for <@${target.id}> (last ${hours}h):\n` +
-        `• incidents: ${s.total || 0}\n` +
-        `• passive-aggr: ${s.passive_aggr || 0}\n` +
-        `• condescending: ${s.condescending || 0}\n` +
-        `• provocation: ${s.provocation || 0}\n` +
-        `• actions taken: ${s.actions || 0}`
-      );
-      return;
-    }
+async function askVerificationQuestion(interaction, { correct, wrong, note = '' }) {
+  const question = makeVerificationQuestion();
+  await updateVerification({ guildId: interaction.guildId, userId: interaction.user.id, correct, wrong, challenge: question });
+  const row = new ActionRowBuilder().addComponents(
+    question.choices.map((choice, i) =>
+      new ButtonBuilder().setCustomId(`verify:answer:${i}`).setLabel(choice).setStyle(ButtonStyle.Secondary)
+    )
+  );
+  return interaction.update({ content: `${note}**${question.prompt}**`, embeds: [], components: [row] });
+}
 
-    if (msg.content.startsWith('!susrecent')) {
-      const parts = msg.content.split(/\s+/);
-      const hours = Number(parts[1]) || 24;
-      const limit = Number(parts[2]) || 10;
-      const rows = await getRecentIncidents({ guildId: msg.guildId, hours, limit });
-      if (!rows.length) return msg.reply(`No incidents in last ${hours}h.`);
-      const lines = rows.map(r =>
-        `• <@${r.user_id}> ${r.action_taken || 'none'} ` +
-        `${r.passive_aggr ? 'PA ' : ''}${r.condescending ? 'COND ' : ''}${r.provocation ? 'PROV ' : ''}`.trim()
-      );
-      await msg.reply(`🧾 Recent incidents (last ${hours}h):\n${lines.join('\n')}`);
-      return;
-    }
+async function handleVerificationInteraction(interaction) {
+  const [, step, choice] = interaction.customId.split(':');
+  const guild = interaction.guild;
+  const respond = (content) => step === 'start'
+    ? interaction.reply({ content, flags: MessageFlags.Ephemeral })
+    : interaction.update({ content, embeds: [], components: [] });
 
-    if (msg.content.startsWith('!suswho')) {
-      const parts = msg.content.split(/\s+/);
-      const hours = Number(parts[1]) || 24;
-      const limit = Number(parts[2]) || 5;
-      const rows = await getTopSuspects({ guildId: msg.guildId, hours, limit });
-      if (!rows.length) return msg.reply(`Clean slate in last ${hours}h.`);
-      const lines = rows.map((r, i) =>
-        `${i+1}. <@${r.user_id}> — actions: ${r.actions}, tone flags: ${r.tone_flags}, incidents: ${r.incidents}`
-      );
-      await msg.reply(`🏴 Top suspects (last ${hours}h):\n${lines.join('\n')}`);
-      return;
-    }
+  const v = await getVerification(guild.id, interaction.user.id);
+  if (!v || v.status !== 'pending') {
+    return respond(v?.status === 'passed' ? '✅ You\'re already verified.' : 'You have no verification pending.');
+  }
+  if (new Date(v.deadline).getTime() <= Date.now()) {
+    await respond('⌛ Time ran out for verification.');
+    return concludeVerification(guild, interaction.user.id, 'timed_out');
   }
 
-  // ALWAYS run moderation & auto-threads (chatting is OFF)
-  await handleModeration(msg);
-  await handleAutoThreads(msg);
-});
+  if (step === 'start') {
+    const rules = await getClubRules();
+    const row = new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId('verify:ack').setLabel('I agree to the rules').setStyle(ButtonStyle.Primary)
+    );
+    return interaction.reply({
+      embeds: [{
+        title: `${guild.name} rules`,
+        description: (rules.length ? rules.map((r, i) => `${i + 1}. ${r}`) : ['Be respectful.']).join('\n'),
+        footer: { text: 'Agree to continue, then answer a quick question.' },
+      }],
+      components: [row],
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  if (step === 'ack' || !v.challenge) {
+    return askVerificationQuestion(interaction, { correct: v.correct, wrong: v.wrong });
+  }
+
+  // a raid that started after this member joined still tightens their gate
+  const raidMode = v.raid_mode || Boolean(await getActiveRaid(guild.id));
+  const { questions, maxWrong } = verificationRequirements(raidMode);
+  const right = Number(choice) === v.challenge.answer;
+  const correct = v.correct + (right ? 1 : 0);
+  const wrong = v.wrong + (right ? 0 : 1);
+
+  if (wrong > maxWrong) {
+    await respond('❌ Too many wrong answers. You\'ll be removed from the server, but you can rejoin and try again.');
+    return concludeVerification(guild, interaction.user.id, 'failed');
+  }
+  if (correct >= questions) {
+    await respond('✅ Verified — welcome in!');
+    return concludeVerification(guild, interaction.user.id, 'passed');
+  }
+  return askVerificationQuestion(interaction, {
+    correct,
+    wrong,
+    note: right ? '✅ Correct — one more.\n' : `❌ Not quite (${maxWrong - wrong + 1} tries left).\n`,
+  });
+}
+
+// Runs every minute alongside the raid sweep.
+async function sweepVerifications() {
+  for (const v of await getExpiredVerifications()) {
+    const guild = client.guilds.cache.get(v.guild_id);
+    if (guild) await concludeVerification(guild, v.user_id, 'timed_out').catch(e => console.error('Verification timeout failed:', e));
+  }
+}
+
+client.on(Events.GuildMemberAdd, async (member) => {
+  if (member.user.bot) return;
+  const guild = member.guild;
+  try {
+    const settings = await getVerificationSettings(guild.id);
+    if (!settings.enabled || !settings.roleId) return;
+    const policy = await getPolicy(guild.id);
+    const raidMode = Boolean(await getActiveRaid(guild.id));
+    const minutes = raidMode ? policy.verify_raid_timeout_minutes : policy.verify_timeout_minutes;
+    await member.roles.add(settings.roleId, 'Verification pending');
+    await startVerification({ guildId: guild.id, userId: member.id, deadline: new Date(Date.now() + minutes * 60 * 1000), raidMode });
+  } catch (e) {
+    console.error('Failed to start verification:', e);
+  }
+});
+
+client.on(Events.InteractionCreate, async (interaction) => {
+  if (!interaction.isButton() || !interaction.customId.startsWith('verify:')) return;
+  try {
+    await handleVerificationInteraction(interaction);
+  } catch (e) {
+    console.error('Verification interaction failed:', e);
+    if (!interaction.replied && !interaction.deferred) {
+      await interaction.reply({ content: '❌ Something went wrong, please try again.', flags: MessageFlags.Ephemeral }).catch(() => {});
+    }
+  }
+});
+
+// ---------- timed actions ----------
+// Tempbans, timed shadowbans and timed role removals each get a timed_actions row.
+// The sweep reverses whatever is past its expiry (on startup too, so anything that
+// came due while the bot was offline is caught up); /timed cancel reverses one early.
+const TIMED_LABELS = { tempban: 'Tempban', shadowban: 'Shadowban', role: 'Role removal' };
+const UNKNOWN_BAN = 10026; // Discord error: the ban was already lifted by hand
+
+// Undoes an already-claimed timed action and opens a case for it.
+async function reverseTimedAction(guild, t, actor, reason) {
+  let action;
+  if (t.kind === 'tempban') {
+    action = 'unban';
+    await guild.bans.remove(t.user_id, reason).catch(e => { if (e?.code !== UNKNOWN_BAN) throw e; });
+  } else if (t.kind === 'shadowban') {
+    action = 'unshadowban';
+    await removeShadowban({ guildId: guild.id, userId: t.user_id });
+  } else {
+    action = 'restore_role';
+    const member = await guild.members.fetch(t.user_id).catch(() => null);
+    if (!member) {
+      reason = `${reason}; member has left, <@&${t.role_id}> not restored`;
+    } else {
+      await member.roles.add(t.role_id, reason);
+    }
+  }
+
+  const c = await createCase({ guildId: guild.id, userId: t.user_id, action, actorType: actor.type, actorId: actor.id ?? null, reason });
+  await sendModLog(guild, {
+    content: `⏱️ Case #${c.case_number}: ${TIMED_LABELS[t.kind]} of <@${t.user_id}>` +
+      `${t.case_number ? ` (case #${t.case_number})` : ''} lifted — ${reason}`,
+    allowedMentions: { parse: [] },
+  }).catch(e => console.error('Failed to log timed action:', e));
+  return c.case_number;
+}
+
+// Runs every minute, and once at startup for catch-up.
+async function sweepTimedActions() {
+  for (const t of await getExpiredTimedActions()) {
+    const guild = client.guilds.cache.get(t.guild_id);
+    if (!guild) continue; // not connected to that guild; retried next sweep
+    let claimed;
+    try {
+      claimed = await endTimedAction({ id: t.id, status: 'expired' });
+    } catch (e) {
+      console.error(`Timed action #${t.id} could not be claimed; retrying next sweep:`, e);
+      continue;
+    }
+    if (!claimed) continue;
+    try {
+      await reverseTimedAction(guild, claimed, BOT_ACTOR, `${TIMED_LABELS[t.kind]} expired`);
+    } catch (e) {
+      console.error(`Timed action #${t.id} could not be reversed:`, e);
+      await markTimedActionFailed(t.id).catch(() => {});
+      await sendModLog(guild, {
+        content: `⚠️ Couldn't lift ${TIMED_LABELS[t.kind].toLowerCase()} #${t.id} for <@${t.user_id}>: ${e?.message || e}. Please undo it by hand.`,
+        allowedMentions: { parse: [] },
+      }).catch(() => {});
+    }
+  }
+}
+
+function describeTimedAction(t) {
+  const what = t.kind === 'role' ? `${TIMED_LABELS.role} <@&${t.role_id}>` : TIMED_LABELS[t.kind];
+  return `\`#${t.id}\` ${what} · <@${t.user_id}> · ends <t:${Math.floor(new Date(t.expires_at).getTime() / 1000)}:R>` +
+    `${t.case_number ? ` · case #${t.case_number}` : ''}${t.created_by ? ` · by <@${t.created_by}>` : ''}`;
+}
+
+// ---------- member history ----------
+// One timeline per member for officers: flagged messages with their cases, officer actions,
+// appeals, private notes and profile memories (see getUserTimeline), newest first.
+// Pages are re-read on every click, so a note added in the meantime shows up.
+// customIds: history:page:<userId>:<page>, history:export:<userId>
+const HISTORY_PAGE_SIZE = 8;
+const HISTORY_EXPORT_LIMIT = 5000;
+const TIMELINE_ICONS = { incident: '🚩', case: '📁', appeal: '📨', appeal_decision: '⚖️', note: '📝', memory: '🧠' };
+
+function describeTimelineEntry(e, max = 200) {
+  const clip = (s) => (s && s.length > max ? `${s.slice(0, max - 1)}…` : s);
+  const x = e.extra || {};
+  switch (e.kind) {
+    case 'incident': {
+      const tags = [
+        x.dry_run && 'dry run',
+        x.case_number && `case #${x.case_number}`,
+        x.appeal_status && `appeal ${x.appeal_status}`,
+      ].filter(Boolean);
+      const why = e.detail || [...(x.flags || []), x.toxicity !== 'none' && `toxicity ${x.toxicity}`].filter(Boolean).join(', ');
+      return `${e.action !== 'none' ? e.action : 'flagged'}${tags.length ? ` (${tags.join(', ')})` : ''} by ${describeActor(e)} ` +
+        `in <#${x.channel_id}> — ${why || 'n/a'}` +
+        (e.content ? `\n> ${clip(e.content.replace(/\s+/g, ' '))}` : '');
+    }
+    case 'case':
+      return `case #${x.case_number} ${e.action} by ${describeActor(e)} — ${clip(e.detail) || 'n/a'}`;
+    case 'appeal':
+      return `appeal #${e.ref} against ${e.action} (${x.status}): ${clip(e.detail)}`;
+    case 'appeal_decision':
+      return `appeal #${e.ref} against ${x.appealed_action} ${e.action} by <@${e.actor_id}>`;
+    case 'note':
+      return `note #${e.ref} by <@${e.actor_id}>: ${clip(e.detail)}`;
+    default:
+      return `profile: ${clip(e.detail)}`;
+  }
+}
+
+async function historyView(guild, userId, page) {
+  const [entries, policy] = await Promise.all([getUserTimeline({ guildId: guild.id, userId }), getPolicy(guild.id)]);
+  const strikes = await getStrikeState({ guildId: guild.id, userId, decayMs: strikeDecayMs(policy) });
+  const pages = Math.max(1, Math.ceil(entries.length / HISTORY_PAGE_SIZE));
+  page = Math.min(Math.max(page || 0, 0), pages - 1);
+
+  const unix = (d) => Math.floor(new Date(d).getTime() / 1000);
+  const lines = entries
+    .slice(page * HISTORY_PAGE_SIZE, (page + 1) * HISTORY_PAGE_SIZE)
+    .map(e => `${TIMELINE_ICONS[e.kind]} <t:${unix(e.at)}:d> ${describeTimelineEntry(e)}`);
+  const timedOut = strikes.timeoutUntil && new Date(strikes.timeoutUntil) > new Date();
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`history:page:${userId}:${page - 1}`).setLabel('◀ Newer').setStyle(ButtonStyle.Secondary).setDisabled(page === 0),
+    new ButtonBuilder().setCustomId(`history:page:${userId}:${page + 1}`).setLabel('Older ▶').setStyle(ButtonStyle.Secondary).setDisabled(page >= pages - 1),
+    new ButtonBuilder().setCustomId(`history:export:${userId}`).setLabel('Export').setStyle(ButtonStyle.Primary).setDisabled(!entries.length)
+  );
+  return {
+    embeds: [{
+      title: 'Member history',
+      description:
+        `**Member:** <@${userId}> (${userId})\n` +
+        `**Strikes:** ${strikes.count}${strikes.lastStrikeAt ? ` (last <t:${unix(strikes.lastStrikeAt)}:R>)` : ''}` +
+        (timedOut ? ` · timed out until <t:${unix(strikes.timeoutUntil)}:f>` : '') +
+        '\n\n' + (lines.length ? lines.join('\n') : 'Nothing on record.'),
+      footer: { text: `Page ${page + 1}/${pages} · ${entries.length} entries, newest first` },
+    }],
+    components: [row],
+  };
+}
+
+async function handleHistoryInteraction(interaction) {
+  if (!(await canUseCommand(interaction, 'mod'))) {
+    return interaction.reply({ content: '🔒 Only moderators can view member history.', flags: MessageFlags.Ephemeral });
+  }
+  const [, step, userId, rawPage] = interaction.customId.split(':');
+
+  if (step === 'export') {
+    const entries = await getUserTimeline({ guildId: interaction.guildId, userId, limit: HISTORY_EXPORT_LIMIT });
+    // oldest first reads better as a file; nothing is clipped
+    const lines = entries.reverse().map(e =>
+      `[${new Date(e.at).toISOString()}] ${e.kind}: ${describeTimelineEntry(e, Infinity)}`
+    );
+    return interaction.reply({
+      content: `📄 History for <@${userId}>: ${entries.length} entries.`,
+      files: [{ attachment: Buffer.from(lines.join('\n'), 'utf8'), name: `history-${userId}.txt` }],
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  await interaction.update(await historyView(interaction.guild, userId, Number(rawPage)));
+}
+
+client.on(Events.InteractionCreate, async (interaction) => {
+  if (!interaction.isButton() || !interaction.customId.startsWith('history:')) return;
+  try {
+    await handleHistoryInteraction(interaction);
+  } catch (e) {
+    console.error('History interaction failed:', e);
+    if (!interaction.replied && !interaction.deferred) {
+      await interaction.reply({ content: '❌ Couldn’t load that history.', flags: MessageFlags.Ephemeral }).catch(() => {});
+    }
+  }
+});
+
+// ---------- appeals ----------
+// DM -> [Appeal] button -> modal -> queue embed in mod-log with [Approve]/[Deny].
+// customIds: appeal:open:<logId>, appeal:submit:<logId>, appeal:approve:<appealId>, appeal:deny:<appealId>
+const ACTION_LABELS = { warn: 'warning', timeout: 'timeout', kick: 'kick', ban: 'ban' };
+
+async function offerAppeal(msg, action, reason, logId, caseNumber = null) {
+  if (!logId) return;
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`appeal:open:${logId}`).setLabel('Appeal').setStyle(ButtonStyle.Secondary)
+  );
+  await msg.author.send({
+    content:
+      `You received a **${ACTION_LABELS[action]}** in **${msg.guild.name}**` +
+      `${caseNumber ? ` (case #${caseNumber})` : ''}.\n` +
+      `Reason: ${reason}\n` +
+      `If you think this was a mistake, press **Appeal** and tell the officers what happened.`,
+    components: [row],
+  }).catch(() => { /* DMs closed */ });
+}
+
+// Reverses what the bot did for an approved appeal. Kicks can't be undone; the member can just rejoin.
+// Returns what couldn't be reversed (empty when everything was); only what worked is recorded.
+async function undoModerationAction(guild, userId, action) {
+  const failed = [];
+  if (action === 'timeout') {
+    // a member who left has no timeout to lift
+    const member = await guild.members.fetch(userId).catch(() => null);
+    try {
+      await member?.timeout(null, 'Appeal approved');
+      await setStrikeTimeout({ guildId: guild.id, userId, until: null });
+    } catch (e) {
+      console.error('Failed to lift timeout:', e);
+      failed.push(`lift the timeout (${e?.message || e})`);
+    }
+  }
+  if (action === 'ban') {
+    try {
+      await guild.bans.remove(userId, 'Appeal approved');
+      await endTimedActionsFor({ guildId: guild.id, userId, kind: 'tempban' });
+    } catch (e) {
+      console.error('Failed to unban:', e);
+      failed.push(`unban (${e?.message || e})`);
+    }
+  }
+  await clearStrikes({ guildId: guild.id, userId });
+  return failed;
+}
+
+function appealEmbed(appeal, entry, decision = null) {
+  const fields = [
+    { name: 'Original message', value: (entry.content || '(no content)').slice(0, 1024) },
+    { name: 'Appeal', value: appeal.appeal_text.slice(0, 1024) },
+  ];
+  if (decision) fields.push({ name: 'Decision', value: decision });
+  return {
+    title: `Appeal #${appeal.id}: ${ACTION_LABELS[appeal.action] || appeal.action}`,
+    description:
+      `**User:** <@${appeal.user_id}> (${appeal.user_id})\n` +
+      `**Reason:** ${entry.reason || 'n/a'}\n` +
+      `**Log entry:** ${entry.id}`,
+    fields,
+    timestamp: new Date().toISOString(),
+  };
+}
+
+async function handleAppealInteraction(interaction) {
+  const [, step, rawId] = interaction.customId.split(':');
+  const id = Number(rawId);
+
+  if (step === 'open') {
+    const entry = await getModerationLogEntry(id);
+    if (!entry || entry.user_id !== interaction.user.id) {
+      return interaction.reply({ content: 'That action can’t be appealed.', flags: MessageFlags.Ephemeral });
+    }
+    if (entry.appeal_status) {
+      return interaction.reply({ content: `Already appealed (status: ${entry.appeal_status}).`, flags: MessageFlags.Ephemeral });
+    }
+    const input = new TextInputBuilder()
+      .setCustomId('text')
+      .setLabel('What happened?')
+      .setStyle(TextInputStyle.Paragraph)
+      .setMaxLength(1000)
+      .setRequired(true);
+    return interaction.showModal(
+      new ModalBuilder()
+        .setCustomId(`appeal:submit:${id}`)
+        .setTitle('Appeal a moderation action')
+        .addComponents(new ActionRowBuilder().addComponents(input))
+    );
+  }
+
+  if (step === 'submit') {
+    const entry = await getModerationLogEntry(id);
+    if (!entry || entry.user_id !== interaction.user.id) return;
+    const appeal = await createAppeal({
+      moderationLogId: entry.id,
+      guildId: entry.guild_id,
+      userId: entry.user_id,
+      action: entry.action_taken,
+      appealText: interaction.fields.getTextInputValue('text').trim(),
+    });
+    if (!appeal) {
+      return interaction.reply({ content: 'You already appealed this one.', flags: MessageFlags.Ephemeral });
+    }
+
+    const guild = await client.guilds.fetch(entry.guild_id).catch(() => null);
+    const chan = guild && MOD_LOG_CHANNEL_ID ? await guild.channels.fetch(MOD_LOG_CHANNEL_ID).catch(() => null) : null;
+    if (chan) {
+      const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId(`appeal:approve:${appeal.id}`).setLabel('Approve').setStyle(ButtonStyle.Success),
+        new ButtonBuilder().setCustomId(`appeal:deny:${appeal.id}`).setLabel('Deny').setStyle(ButtonStyle.Danger)
+      );
+      const posted = await chan.send({ embeds: [appealEmbed(appeal, entry)], components: [row] });
+      await setAppealMessage(appeal.id, posted.id);
+    } else {
+      console.error(`Appeal #${appeal.id} recorded but mod-log channel is unavailable`);
+    }
+    return interaction.reply({ content: '📨 Appeal sent to the officers. You’ll get a DM with the decision.', flags: MessageFlags.Ephemeral });
+  }
+
+  if (step === 'approve' || step === 'deny') {
+    if (!(await canUseCommand(interaction, 'mod'))) {
+      return interaction.reply({ content: '🔒 Only moderators can decide appeals.', flags: MessageFlags.Ephemeral });
+    }
+    // unbanning and the DB writes can outlast Discord's 3-second window
+    await interaction.deferUpdate();
+    const existing = await getAppeal(id);
+    if (!existing || existing.guild_id !== interaction.guildId) {
+      return interaction.followUp({ content: 'Unknown appeal.', flags: MessageFlags.Ephemeral });
+    }
+    const status = step === 'approve' ? 'approved' : 'denied';
+    const appeal = await decideAppeal({ appealId: id, status, decidedBy: interaction.user.id });
+    if (!appeal) {
+      const current = await getAppeal(id);
+      return interaction.followUp({ content: `Already ${current?.status || 'handled'}.`, flags: MessageFlags.Ephemeral });
+    }
+
+    const failed = status === 'approved' ? await undoModerationAction(interaction.guild, appeal.user_id, appeal.action) : [];
+
+    const entry = await getModerationLogEntry(appeal.moderation_log_id);
+    if (status === 'approved' && entry?.message_id) await noteOverturnedVote(interaction.guild, entry.message_id, interaction.user.id);
+    const decision = `${status === 'approved' ? '✅ Approved' : '❌ Denied'} by <@${interaction.user.id}>` +
+      (failed.length ? `\n⚠️ Couldn't ${failed.join(' or ')}; please do it by hand.` : '');
+    await interaction.editReply({ embeds: [appealEmbed(appeal, entry, decision)], components: [] });
+
+    const outcome = status === 'approved'
+      ? (appeal.action === 'kick'
+          ? 'Your appeal was approved and your strikes were cleared. You’re welcome to rejoin.'
+          : failed.length
+            ? 'Your appeal was approved and your strikes cleared. The officers are reversing the action.'
+            : 'Your appeal was approved. The action has been reversed and your strikes cleared.')
+      : 'Your appeal was reviewed and denied.';
+    const user = await client.users.fetch(appeal.user_id).catch(() => null);
+    await user?.send(`**${interaction.guild.name}** — appeal #${appeal.id}: ${outcome}`).catch(() => {});
+  }
+}
+
+client.on(Events.InteractionCreate, async (interaction) => {
+  if (!(interaction.isButton() || interaction.isModalSubmit())) return;
+  if (!interaction.customId.startsWith('appeal:')) return;
+  try {
+    await handleAppealInteraction(interaction);
+  } catch (e) {
+    console.error('Appeal interaction failed:', e);
+    if (!interaction.replied && !interaction.deferred) {
+      await interaction.reply({ content: '❌ Something went wrong with that appeal.', flags: MessageFlags.Ephemeral }).catch(() => {});
+    }
+  }
+});
+
+// ---------- message pipeline ----------
+client.on(Events.MessageCreate, async (msg) => {
+  if (!msg.guild || msg.author.bot) return;
+
+  // ALWAYS run moderation & auto-threads (chatting is OFF)
+  try {
+    await handleModeration(msg);
+  } catch (e) {
+    console.error('Moderation failed:', e);
+  }
+  await handleAutoThreads(msg);
+});
+
+// Edits get the same content checks; the pre-edit text is recorded alongside.
+client.on(Events.MessageUpdate, async (oldMsg, newMsg) => {
+  try {
+    if (newMsg.partial) newMsg = await newMsg.fetch();
+    if (!newMsg.guild || newMsg.author.bot) return;
+    // embed unfurls and pins fire updates too; only re-check real content changes
+    if (!oldMsg.partial && oldMsg.content === newMsg.content) return;
+    await handleModeration(newMsg, { editedFrom: oldMsg.partial ? '' : (oldMsg.content ?? '') });
+  } catch (e) {
+    console.error('Edit moderation failed:', e);
+  }
+});
+
+// ---------- delete audit ----------
+// Members deleting their own messages shouldn't take the evidence with them:
+// whatever discord.js still had cached is copied to the mod-log channel.
+
+function describeDeleted(m) {
+  const files = [...(m.attachments?.values() || [])].map(a => a.name).join(', ');
+  return (m.content || (m.partial ? '(not cached)' : '(no content)')) + (files ? `\n📎 ${files}` : '');
+}
+
+client.on(Events.MessageDelete, async (msg) => {
+  try {
+    if (!msg.guild || msg.author?.bot || botDeletions.has(msg.id)) return;
+    if (!(await isModerationEnabled(msg.guildId))) return;
+    await sendModLog(msg.guild, {
+      embeds: [{
+        title: 'Message deleted',
+        description:
+          `**User:** ${msg.author ? `${msg.author.tag} (${msg.author.id})` : 'unknown (not cached)'}\n` +
+          `**Channel:** <#${msg.channelId}>\n` +
+          `**Sent:** <t:${Math.floor(msg.createdTimestamp / 1000)}:f>`,
+        fields: [{ name: 'Content', value: describeDeleted(msg).slice(0, 1024) }],
+        timestamp: new Date().toISOString(),
+      }],
+    });
+  } catch (e) {
+    console.error('Delete audit failed:', e);
+  }
+});
+
+client.on(Events.MessageBulkDelete, async (messages, channel) => {
+  try {
+    if (!channel.guild || !(await isModerationEnabled(channel.guildId))) return;
+    const lines = [...messages.values()]
+      .filter(m => !m.author?.bot)
+      .sort((a, b) => a.createdTimestamp - b.createdTimestamp)
+      .map(m => `[${new Date(m.createdTimestamp).toISOString()}] ${m.author ? `${m.author.tag} (${m.author.id})` : 'unknown'}: ${describeDeleted(m)}`);
+    if (!lines.length) return;
+    // full transcript as a file; the embed just summarizes
+    await sendModLog(channel.guild, {
+      embeds: [{
+        title: 'Bulk delete',
+        description: `**Channel:** <#${channel.id}>\n**Messages:** ${messages.size} (${lines.length} from members)`,
+        timestamp: new Date().toISOString(),
+      }],
+      files: [{ attachment: Buffer.from(lines.join('\n'), 'utf8'), name: `bulk-delete-${channel.id}.txt` }],
+    });
+  } catch (e) {
+    console.error('Bulk delete audit failed:', e);
+  }
+});
+
+// ---------- admin (slash) commands ----------
+// Tiers: 'mod'   -> ModerateMembers permission OR one of the guild's mod roles
+//        'admin' -> ManageGuild permission
+//        'owner' -> OWNER_ID only (mass DMs stay with the account owner)
+// OWNER_ID passes every tier. Mod-tier commands are left visible to everyone so
+// role-based officers can see them; the runtime check is what gates them.
+async function canUseCommand(interaction, tier) {
+  if (interaction.user.id === OWNER_ID) return true;
+  if (tier === 'owner') return false;
+
+  const perms = interaction.memberPermissions;
+  if (tier === 'admin') return Boolean(perms?.has(PermissionFlagsBits.ManageGuild));
+  if (perms?.has(PermissionFlagsBits.ModerateMembers)) return true;
+
+  const modRoles = await getModRoles(interaction.guildId);
+  const roles = interaction.member?.roles;
+  const hasRole = (id) => (Array.isArray(roles) ? roles.includes(id) : roles?.cache?.has(id));
+  return modRoles.some(hasRole);
+}
+
+function formatProfile(p, userId) {
+  const big = p.big5 ? `O:${(p.big5.O??0).toFixed(2)} C:${(p.big5.C??0).toFixed(2)} E:${(p.big5.E??0).toFixed(2)} A:${(p.big5.A??0).toFixed(2)} N:${(p.big5.N??0).toFixed(2)}` : 'n/a';
+  const comm = p.communication_style ? [
+    `direct:${(p.communication_style.directness??0).toFixed(2)}`,
+    `sarcasm:${(p.communication_style.sarcasm??0).toFixed(2)}`,
+    `humor:${(p.communication_style.humor??0).toFixed(2)}`,
+    `assert:${(p.communication_style.assertiveness??0).toFixed(2)}`,
+  ].join(' • ') : 'n/a';
+  const risk = p.risk_flags ? [
+    `troll:${(p.risk_flags.trollish??0).toFixed(2)}`,
+    `brigade:${(p.risk_flags.brigading??0).toFixed(2)}`,
+    `spam:${(p.risk_flags.spammy??0).toFixed(2)}`,
+    `conflict:${(p.risk_flags.conflict_prone??0).toFixed(2)}`,
+  ].join(' • ') : 'n/a';
+  const skill = p.skill_estimates?.programming_level || 'unknown';
+  return (
+    `👤 Profile for <@${userId}>:\n` +
+    `• Age: ${p.age_range || 'unknown'} (${((p.age_confidence??0)*100).toFixed(0)}% conf)\n` +
+    `• Gender: ${p.gender_likely || 'unknown'} (${((p.gender_confidence??0)*100).toFixed(0)}% conf)\n` +
+    `• Big5: ${big}\n` +
+    `• Comms: ${comm}\n` +
+    `• Risk: ${risk}\n` +
+    `• Skill: ${skill}\n` +
+    `• Interests: ${(p.interests||[]).slice(0,6).join(', ') || '—'}\n` +
+    `• Traits: ${(p.traits||[]).slice(0,6).join(', ') || '—'}\n` +
+    `• Flirty level: ${Math.round((p.flirty_level||0)*10)}/10\n` +
+    `• Confidence overall: ${((p.confidence_overall??0)*100).toFixed(0)}%\n` +
+    `• Last observed: ${p.last_observed_at || '—'}\n` +
+    `_Note: heuristic, non-clinical signals only._`
+  );
+}
+
+// Officer actions get a case + mod-log embed just like bot actions.
+async function logOfficerAction(interaction, target, action, reason) {
+  const c = await createCase({
+    guildId: interaction.guildId,
+    userId: target.id,
+    action,
+    actorType: 'officer',
+    actorId: interaction.user.id,
+    reason,
+  });
+  if (!MOD_LOG_CHANNEL_ID) return c.case_number;
+  try {
+    const chan = await interaction.guild.channels.fetch(MOD_LOG_CHANNEL_ID);
+    const posted = await chan?.send({
+      embeds: [{
+        title: `Case #${c.case_number} · Officer Action: ${action}`,
+        description:
+          `**User:** ${target.tag} (${target.id})\n` +
+          `**Reason:** ${reason || 'n/a'}\n` +
+          `**Officer:** ${interaction.user.tag}`,
+        timestamp: new Date().toISOString(),
+      }],
+    });
+    if (posted) await setCaseModLogMessage(interaction.guildId, c.case_number, posted.id);
+  } catch (e) {
+    console.error('Failed to log officer action:', e);
+  }
+  return c.case_number;
+}
+
+// Rewrites the Reason line of a case's mod-log embed in place.
+async function amendCaseEvidence(guild, caseRow, editor) {
+  if (!MOD_LOG_CHANNEL_ID || !caseRow.mod_log_message_id) return false;
+  try {
+    const chan = await guild.channels.fetch(MOD_LOG_CHANNEL_ID);
+    const message = await chan.messages.fetch(caseRow.mod_log_message_id);
+    const embed = EmbedBuilder.from(message.embeds[0]);
+    embed
+      .setDescription((embed.data.description || '').replace(/\*\*Reason:\*\* .*/, `**Reason:** ${caseRow.reason}`))
+      .setFooter({ text: `Reason amended by ${editor.tag}` });
+    await message.edit({ embeds: [embed] });
+    return true;
+  } catch (e) {
+    console.error('Failed to amend case evidence:', e);
+    return false;
+  }
+}
+
+function describeActor(row) {
+  if (row.actor_type === 'officer') return `officer <@${row.actor_id}>`;
+  if (row.actor_type === 'vote') return 'community vote';
+  return 'bot';
+}
+
+// --- ONE-TIME DM EVERYONE (display-name personalization, SILENT) ---
+// Status goes to the owner's DMs, never in-channel.
+async function runDmBroadcast(guild, owner, baseMsg) {
+  const notify = async (text) => {
+    try { await owner.send(text); } catch { /* stay silent if DM closed */ }
+  };
+
+  await notify('🕊️ Starting one-time DM broadcast. Updates will be DM’d here.');
+
+  const members = await guild.members.fetch().catch(() => null);
+  if (!members) { await notify('❌ Could not fetch members.'); return; }
+
+  const humans = members.filter(m => !m.user.bot);
+  let attempted = 0, sent = 0, skipped = 0, failed = 0, cannotDM = 0;
+
+  for (const m of humans.values()) {
+    if (alreadySentOnce(guild.id, m.user.id)) { skipped++; continue; }
+
+    const display = m.displayName || m.user.globalName || m.user.username;
+    const personalized = baseMsg
+      .replaceAll('{display}', display)
+      .replaceAll('{server}', guild.name);
+
+    try {
+      await m.send(personalized + '\n\n—\n(This is a one-time personal invite from the server admin.)');
+      markSentOnce(guild.id, m.user.id);
+      sent++;
+    } catch (e) {
+      failed++;
+      if (e?.code === 50007) cannotDM++;
+    }
+
+    attempted++;
+    if (attempted % 25 === 0) {
+      await notify(`Progress: sent ${sent}, failed ${failed}, skipped ${skipped}…`);
+    }
+    await new Promise(r => setTimeout(r, 1100)); // gentle pacing
+  }
+
+  if (!dmOnceStore.guilds[guild.id]) dmOnceStore.guilds[guild.id] = { sentTo: {}, runs: [] };
+  dmOnceStore.guilds[guild.id].runs.push({ at: Date.now(), results: { attempted, sent, skipped_existing: skipped, failed, cannot_dm: cannotDM } });
+  await saveDmOnce();
+
+  await notify(`✅ Done.\n• Sent: ${sent}\n• Failed: ${failed} (closed DMs: ${cannotDM})\n• Skipped (already sent): ${skipped}`);
+}
+
+const userOption = (description) => (o) => o.setName('user').setDescription(description).setRequired(true);
+const reasonOption = (o) => o.setName('reason').setDescription('Reason recorded on the case').setMaxLength(500);
+const hoursOption = (o) => o.setName('hours').setDescription('Look-back window in hours (default 24)').setMinValue(1).setMaxValue(24 * 90);
+const durationOption = (description, required) => (o) => o.setName('duration').setDescription(description).setRequired(required).setMaxLength(20);
+const badDuration = (raw) => `❌ Can't use duration \`${raw}\`; use something like 90m, 12h or 7d, up to a year.`;
+const checkOption = (o) => o.setName('check').setDescription('Check').setRequired(true)
+  .addChoices(...MODERATION_CHECKS.map(c => ({ name: c, value: c })));
+const limitOption = (o) => o.setName('limit').setDescription('Max rows to show').setMinValue(1).setMaxValue(50);
+// more policy keys than the 25 static choices Discord allows, so keys autocomplete instead
+function autocompletePolicyKey(interaction) {
+  const typed = interaction.options.getFocused().toLowerCase();
+  return interaction.respond(
+    Object.keys(DEFAULT_POLICY).filter(k => k.includes(typed)).slice(0, 25).map(k => ({ name: k, value: k }))
+  );
+}
+
+function slash(name, description) {
+  return new SlashCommandBuilder()
+    .setName(name)
+    .setDescription(description)
+    .setContexts(InteractionContextType.Guild);
+}
+
+// Each entry: { tier, data, run }. run() is called after an ephemeral deferReply,
+// so it answers with interaction.editReply(); `modal: true` skips the defer.
+const ADMIN_COMMANDS = [
+  {
+    tier: 'mod',
+    data: slash('forgive', 'Clear all strikes for a member')
+      .addUserOption(userOption('Member to forgive'))
+      .addStringOption(reasonOption),
+    async run(interaction) {
+      const target = interaction.options.getUser('user', true);
+      await clearStrikes({ guildId: interaction.guildId, userId: target.id });
+      const caseNumber = await logOfficerAction(interaction, target, 'forgive', interaction.options.getString('reason'));
+      await interaction.editReply(`🙏 Forgiven ${target.username}. (case #${caseNumber})`);
+    },
+  },
+  {
+    tier: 'mod',
+    data: slash('shadowban', 'Silently delete everything a member posts')
+      .addUserOption(userOption('Member to shadowban'))
+      .addStringOption(reasonOption)
+      .addStringOption(durationOption('Lift automatically after (e.g. 12h, 7d); permanent if empty', false)),
+    async run(interaction) {
+      const target = interaction.options.getUser('user', true);
+      const raw = interaction.options.getString('duration');
+      const ms = raw ? parseDuration(raw) : null;
+      if (raw && !ms) return interaction.editReply(badDuration(raw));
+      if (shortensPermanentShadowban(await getShadowbanState({ guildId: interaction.guildId, userId: target.id }), ms)) {
+        return interaction.editReply(`❌ ${target.username} is already shadowbanned with no end date; use /unshadowban first to put them on a timer.`);
+      }
+      const reason = interaction.options.getString('reason');
+      await addShadowban({ guildId: interaction.guildId, userId: target.id, createdBy: interaction.user.id });
+      const caseNumber = await logOfficerAction(interaction, target, ms ? `shadowban (${formatDuration(ms)})` : 'shadowban', reason);
+      if (ms) {
+        await addTimedAction({ guildId: interaction.guildId, userId: target.id, kind: 'shadowban', reason, createdBy: interaction.user.id, caseNumber, expiresAt: new Date(Date.now() + ms) });
+      } else {
+        // a permanent shadowban replaces any timer already running
+        await endTimedActionsFor({ guildId: interaction.guildId, userId: target.id, kind: 'shadowban', status: 'superseded', endedBy: interaction.user.id });
+      }
+      await interaction.editReply(`👻 Shadowbanned ${target.username}${ms ? ` for ${formatDuration(ms)}` : ''}. (case #${caseNumber})`);
+    },
+  },
+  {
+    tier: 'mod',
+    data: slash('unshadowban', 'Lift a shadowban')
+      .addUserOption(userOption('Member to un-shadowban'))
+      .addStringOption(reasonOption),
+    async run(interaction) {
+      const target = interaction.options.getUser('user', true);
+      await removeShadowban({ guildId: interaction.guildId, userId: target.id });
+      await endTimedActionsFor({ guildId: interaction.guildId, userId: target.id, kind: 'shadowban', endedBy: interaction.user.id });
+      const caseNumber = await logOfficerAction(interaction, target, 'unshadowban', interaction.options.getString('reason'));
+      await interaction.editReply(`🌞 Un-shadowbanned ${target.username}. (case #${caseNumber})`);
+    },
+  },
+  {
+    tier: 'mod',
+    data: slash('tempban', 'Ban a member for a set time')
+      .addUserOption(userOption('Member to ban'))
+      .addStringOption(durationOption('How long (e.g. 12h, 7d, 2w)', true))
+      .addStringOption(reasonOption),
+    async run(interaction) {
+      const target = interaction.options.getUser('user', true);
+      const raw = interaction.options.getString('duration', true);
+      const ms = parseDuration(raw);
+      if (!ms) return interaction.editReply(badDuration(raw));
+      const reason = interaction.options.getString('reason');
+      await interaction.guild.bans.create(target.id, { reason: reason || `Tempban (${formatDuration(ms)})` });
+      const caseNumber = await logOfficerAction(interaction, target, `tempban (${formatDuration(ms)})`, reason);
+      await addTimedAction({ guildId: interaction.guildId, userId: target.id, kind: 'tempban', reason, createdBy: interaction.user.id, caseNumber, expiresAt: new Date(Date.now() + ms) });
+      await interaction.editReply(`🔨 Banned ${target.username} for ${formatDuration(ms)}. (case #${caseNumber})`);
+    },
+  },
+  {
+    tier: 'mod',
+    data: slash('takerole', 'Remove a role from a member for a set time')
+      .addUserOption(userOption('Member'))
+      .addRoleOption(o => o.setName('role').setDescription('Role to take away').setRequired(true))
+      .addStringOption(durationOption('Give it back after (e.g. 12h, 7d)', true))
+      .addStringOption(reasonOption),
+    async run(interaction) {
+      const target = interaction.options.getUser('user', true);
+      const role = interaction.options.getRole('role', true);
+      const raw = interaction.options.getString('duration', true);
+      const ms = parseDuration(raw);
+      if (!ms) return interaction.editReply(badDuration(raw));
+      const member = await interaction.guild.members.fetch(target.id).catch(() => null);
+      if (!member?.roles.cache.has(role.id)) return interaction.editReply(`${target.username} doesn't have <@&${role.id}>.`);
+      const reason = interaction.options.getString('reason');
+      await member.roles.remove(role.id, reason || `Removed for ${formatDuration(ms)}`);
+      const caseNumber = await logOfficerAction(interaction, target, `remove role @${role.name} (${formatDuration(ms)})`, reason);
+      await addTimedAction({ guildId: interaction.guildId, userId: target.id, kind: 'role', roleId: role.id, reason, createdBy: interaction.user.id, caseNumber, expiresAt: new Date(Date.now() + ms) });
+      await interaction.editReply(`🎭 Took <@&${role.id}> from ${target.username} for ${formatDuration(ms)}. (case #${caseNumber})`);
+    },
+  },
+  {
+    tier: 'mod',
+    data: slash('timed', 'Active tempbans, timed shadowbans and role removals')
+      .addSubcommand(sc => sc.setName('list').setDescription('Show active timed actions')
+        .addUserOption(o => o.setName('user').setDescription('Only this member')))
+      .addSubcommand(sc => sc.setName('cancel').setDescription('Lift a timed action now')
+        .addIntegerOption(o => o.setName('id').setDescription('Timed action # from /timed list').setRequired(true).setMinValue(1))
+        .addStringOption(reasonOption)),
+    async run(interaction) {
+      if (interaction.options.getSubcommand() === 'cancel') {
+        const t = await getTimedAction(interaction.options.getInteger('id', true));
+        if (!t || t.guild_id !== interaction.guildId) return interaction.editReply('Unknown timed action.');
+        const claimed = await endTimedAction({ id: t.id, status: 'cancelled', endedBy: interaction.user.id });
+        if (!claimed) return interaction.editReply(`Timed action #${t.id} already ended (${t.end_status}).`);
+        const reason = interaction.options.getString('reason');
+        let caseNumber;
+        try {
+          caseNumber = await reverseTimedAction(interaction.guild, claimed, { type: 'officer', id: interaction.user.id },
+            `${TIMED_LABELS[t.kind]} lifted early${reason ? `: ${reason}` : ''}`);
+        } catch (e) {
+          await markTimedActionFailed(t.id).catch(() => {});
+          return interaction.editReply(`❌ Couldn't lift #${t.id}: ${e?.message || e}`);
+        }
+        return interaction.editReply(`⏱️ Lifted #${t.id} for <@${t.user_id}>. (case #${caseNumber})`);
+      }
+
+      const user = interaction.options.getUser('user');
+      const rows = await listTimedActions({ guildId: interaction.guildId, userId: user?.id ?? null });
+      if (!rows.length) return interaction.editReply('No active timed actions.');
+      const lines = rows.slice(0, 25).map(describeTimedAction);
+      if (rows.length > 25) lines.push(`… and ${rows.length - 25} more`);
+      await interaction.editReply(`⏱️ Active timed actions:\n${lines.join('\n')}`);
+    },
+  },
+  {
+    tier: 'mod',
+    data: slash('profile', 'Show the behavioral profile for a member')
+      .addUserOption(userOption('Member to inspect'))
+      .addBooleanOption(o => o.setName('raw').setDescription('Dump the raw JSON (dev/debug)')),
+    async run(interaction) {
+      const target = interaction.options.getUser('user', true);
+      const p = await getUserProfile(target.id);
+      if (interaction.options.getBoolean('raw')) {
+        return interaction.editReply('```json\n' + JSON.stringify(p || {}, null, 2).slice(0, 1900) + '\n```');
+      }
+      await interaction.editReply(p ? formatProfile(p, target.id) : `No profile data for <@${target.id}> yet.`);
+    },
+  },
+  {
+    tier: 'mod',
+    data: slash('sus', 'Incident summary for one member')
+      .addUserOption(userOption('Member to report on'))
+      .addIntegerOption(hoursOption),
+    async run(interaction) {
+      const target = interaction.options.getUser('user', true);
+      const hours = interaction.options.getInteger('hours') ?? 24;
+      const s = await getUserBehaviorSummary({ userId: target.id, hours });
+      await interaction.editReply(
+        `🕵️ Report for <@${target.id}> (last ${hours}h):\n` +
+        `• incidents: ${s.total || 0}\n` +
+        `• passive-aggr: ${s.passive_aggr || 0}\n` +
+        `• condescending: ${s.condescending || 0}\n` +
+        `• provocation: ${s.provocation || 0}\n` +
+        `• actions taken: ${s.actions || 0}`
+      );
+    },
+  },
+  {
+    tier: 'mod',
+    data: slash('susrecent', 'Recent moderation incidents in this server')
+      .addIntegerOption(hoursOption)
+      .addIntegerOption(limitOption),
+    async run(interaction) {
+      const hours = interaction.options.getInteger('hours') ?? 24;
+      const limit = interaction.options.getInteger('limit') ?? 10;
+      const rows = await getRecentIncidents({ guildId: interaction.guildId, hours, limit });
+      if (!rows.length) return interaction.editReply(`No incidents in last ${hours}h.`);
+      const lines = rows.map(r =>
+        `• <@${r.user_id}> ${r.action_taken || 'none'}${r.dry_run ? ' (dry run)' : ''} ` +
+        `${r.passive_aggr ? 'PA ' : ''}${r.condescending ? 'COND ' : ''}${r.provocation ? 'PROV ' : ''}${r.unsafe_link ? 'LINK ' : ''}`.trim()
+      );
+      await interaction.editReply(`🧾 Recent incidents (last ${hours}h):\n${lines.join('\n')}`);
+    },
+  },
+  {
+    tier: 'mod',
+    data: slash('suswho', 'Members with the most incidents')
+      .addIntegerOption(hoursOption)
+      .addIntegerOption(limitOption),
+    async run(interaction) {
+      const hours = interaction.options.getInteger('hours') ?? 24;
+      const limit = interaction.options.getInteger('limit') ?? 5;
+      const rows = await getTopSuspects({ guildId: interaction.guildId, hours, limit });
+      if (!rows.length) return interaction.editReply(`Clean slate in last ${hours}h.`);
+      const lines = rows.map((r, i) =>
+        `${i+1}. <@${r.user_id}> — actions: ${r.actions}, tone flags: ${r.tone_flags}, incidents: ${r.incidents}`
+      );
+      await interaction.editReply(`🏴 Top suspects (last ${hours}h):\n${lines.join('\n')}`);
+    },
+  },
+  {
+    tier: 'mod',
+    data: slash('weeklyreport', 'The weekly moderation report for the last 7 days, right now'),
+    async run(interaction) {
+      const embed = await buildWeeklyReport(interaction.guildId, new Date());
+      await interaction.editReply(embed ? { embeds: [embed] } : '❌ Couldn’t read the moderation log.');
+    },
+  },
+  {
+    tier: 'mod',
+    data: slash('case', 'Look up or amend a numbered moderation case')
+      .addSubcommand(sc => sc.setName('view').setDescription('Show one case')
+        .addIntegerOption(o => o.setName('number').setDescription('Case number').setRequired(true).setMinValue(1)))
+      .addSubcommand(sc => sc.setName('reason').setDescription('Amend a case\'s reason')
+        .addIntegerOption(o => o.setName('number').setDescription('Case number').setRequired(true).setMinValue(1))
+        .addStringOption(o => o.setName('reason').setDescription('New reason').setRequired(true).setMaxLength(500))),
+    async run(interaction) {
+      const sub = interaction.options.getSubcommand();
+      const number = interaction.options.getInteger('number', true);
+
+      if (sub === 'reason') {
+        const updated = await updateCaseReason({
+          guildId: interaction.guildId,
+          caseNumber: number,
+          reason: interaction.options.getString('reason', true),
+          updatedBy: interaction.user.id,
+        });
+        if (!updated) return interaction.editReply(`No case #${number} in this server.`);
+        const edited = await amendCaseEvidence(interaction.guild, updated, interaction.user);
+        return interaction.editReply(`✏️ Case #${number} reason updated${edited ? ' (mod-log entry edited)' : ''}.`);
+      }
+
+      const c = await getCase(interaction.guildId, number);
+      if (!c) return interaction.editReply(`No case #${number} in this server.`);
+      const link = c.mod_log_message_id && MOD_LOG_CHANNEL_ID
+        ? `\n**Mod-log:** https://discord.com/channels/${interaction.guildId}/${MOD_LOG_CHANNEL_ID}/${c.mod_log_message_id}`
+        : '';
+      await interaction.editReply({
+        embeds: [{
+          title: `Case #${c.case_number}: ${c.action}`,
+          description:
+            `**User:** <@${c.user_id}> (${c.user_id})\n` +
+            `**Actor:** ${describeActor(c)}\n` +
+            `**Reason:** ${c.reason || 'n/a'}\n` +
+            `**Appeal:** ${c.appeal_status || 'none'}` +
+            (c.updated_by ? `\n**Amended by:** <@${c.updated_by}>` : '') +
+            link,
+          fields: c.content ? [{ name: 'Message', value: c.content.slice(0, 1024) }] : [],
+          timestamp: new Date(c.created_at).toISOString(),
+        }],
+      });
+    },
+  },
+  {
+    tier: 'mod',
+    data: slash('cases', 'List a member\'s moderation cases')
+      .addUserOption(userOption('Member to list'))
+      .addIntegerOption(limitOption),
+    async run(interaction) {
+      const target = interaction.options.getUser('user', true);
+      const limit = interaction.options.getInteger('limit') ?? 10;
+      const rows = await getUserCases({ guildId: interaction.guildId, userId: target.id, limit });
+      if (!rows.length) return interaction.editReply(`No cases for <@${target.id}>.`);
+      const lines = rows.map(r =>
+        `• #${r.case_number} ${r.action} by ${describeActor(r)} — ${r.reason || 'n/a'} (<t:${Math.floor(new Date(r.created_at).getTime() / 1000)}:d>)`
+      );
+      await interaction.editReply(`📁 Cases for <@${target.id}>:\n${lines.join('\n')}`);
+    },
+  },
+  {
+    tier: 'mod',
+    data: slash('history', 'One timeline of a member\'s incidents, cases, appeals and officer notes')
+      .addUserOption(userOption('Member to look up')),
+    async run(interaction) {
+      const target = interaction.options.getUser('user', true);
+      await interaction.editReply(await historyView(interaction.guild, target.id, 0));
+    },
+  },
+  {
+    tier: 'mod',
+    data: slash('note', 'Private officer notes on a member (shown in /history)')
+      .addSubcommand(sc => sc.setName('add').setDescription('Add a note')
+        .addUserOption(userOption('Member the note is about'))
+        .addStringOption(o => o.setName('text').setDescription('The note').setRequired(true).setMaxLength(1000)))
+      .addSubcommand(sc => sc.setName('remove').setDescription('Delete a note')
+        .addIntegerOption(o => o.setName('id').setDescription('Note # from /history').setRequired(true).setMinValue(1))),
+    async run(interaction) {
+      if (interaction.options.getSubcommand() === 'remove') {
+        const id = interaction.options.getInteger('id', true);
+        const removed = await removeOfficerNote(interaction.guildId, id);
+        return interaction.editReply(removed ? `🗑️ Note #${id} on <@${removed.user_id}> deleted.` : `No note #${id} in this server.`);
+      }
+      const target = interaction.options.getUser('user', true);
+      const note = await addOfficerNote({
+        guildId: interaction.guildId,
+        userId: target.id,
+        authorId: interaction.user.id,
+        note: interaction.options.getString('text', true).trim(),
+      });
+      await interaction.editReply(`📝 Note #${note.id} added to <@${target.id}>'s history.`);
+    },
+  },
+  {
+    tier: 'admin',
+    data: slash('disablemod', 'Turn the moderator off in this server'),
+    async run(interaction) {
+      await setModerationEnabled(interaction.guildId, false);
+      await interaction.editReply('🚫 Moderator disabled here.');
+    },
+  },
+  {
+    tier: 'admin',
+    data: slash('enablemod', 'Turn the moderator back on in this server'),
+    async run(interaction) {
+      await setModerationEnabled(interaction.guildId, true);
+      await interaction.editReply('✅ Moderator enabled here.');
+    },
+  },
+  {
+    tier: 'admin',
+    data: slash('policy', 'View or change this server\'s moderation thresholds')
+      .addSubcommand(sc => sc.setName('view').setDescription('Show the current policy'))
+      .addSubcommand(sc => sc.setName('set').setDescription('Override one threshold')
+        .addStringOption(o => o.setName('key').setDescription('Policy key').setRequired(true).setAutocomplete(true))
+        .addIntegerOption(o => o.setName('value').setDescription('New value').setRequired(true).setMinValue(0)))
+      .addSubcommand(sc => sc.setName('reset').setDescription('Restore defaults')
+        .addStringOption(o => o.setName('key').setDescription('Only reset this key').setAutocomplete(true))),
+    autocomplete: autocompletePolicyKey,
+    async run(interaction) {
+      const sub = interaction.options.getSubcommand();
+      const policy = await getPolicy(interaction.guildId);
+
+      if (sub === 'set') {
+        const key = interaction.options.getString('key', true);
+        const value = interaction.options.getInteger('value', true);
+        const error = validatePolicyChange(policy, key, value);
+        if (error) return interaction.editReply(`❌ ${error}`);
+        await updatePolicy(interaction.guildId, key, value);
+        return interaction.editReply(`⚙️ \`${key}\` set to ${value} (default ${DEFAULT_POLICY[key]}).`);
+      }
+
+      if (sub === 'reset') {
+        const key = interaction.options.getString('key');
+        if (key && !(key in DEFAULT_POLICY)) return interaction.editReply(`❌ Unknown key \`${key}\`.`);
+        await resetPolicy(interaction.guildId, key);
+        return interaction.editReply(key ? `♻️ \`${key}\` back to default (${DEFAULT_POLICY[key]}).` : '♻️ Policy reset to defaults.');
+      }
+
+      const lines = Object.keys(DEFAULT_POLICY).map(k =>
+        `• ${k}: ${policy[k]}${policy[k] !== DEFAULT_POLICY[k] ? ` (default ${DEFAULT_POLICY[k]})` : ''}`
+      );
+      await interaction.editReply(`⚙️ Moderation policy for this server:\n${lines.join('\n')}`);
+    },
+  },
+  {
+    tier: 'admin',
+    data: slash('modroles', 'Roles allowed to use moderator commands')
+      .addSubcommand(sc => sc.setName('list').setDescription('Show moderator roles'))
+      .addSubcommand(sc => sc.setName('add').setDescription('Grant a role moderator commands')
+        .addRoleOption(o => o.setName('role').setDescription('Role').setRequired(true)))
+      .addSubcommand(sc => sc.setName('remove').setDescription('Revoke a role\'s moderator commands')
+        .addRoleOption(o => o.setName('role').setDescription('Role').setRequired(true))),
+    async run(interaction) {
+      const sub = interaction.options.getSubcommand();
+      if (sub === 'add') {
+        const role = interaction.options.getRole('role', true);
+        await addModRole(interaction.guildId, role.id);
+        return interaction.editReply(`🛡️ <@&${role.id}> can now use moderator commands.`);
+      }
+      if (sub === 'remove') {
+        const role = interaction.options.getRole('role', true);
+        await removeModRole(interaction.guildId, role.id);
+        return interaction.editReply(`🛡️ <@&${role.id}> removed from moderator roles.`);
+      }
+      const roles = await getModRoles(interaction.guildId);
+      await interaction.editReply(roles.length
+        ? `🛡️ Moderator roles: ${roles.map(id => `<@&${id}>`).join(', ')}`
+        : '🛡️ No moderator roles yet — only members with Timeout Members can moderate.');
+    },
+  },
+  {
+    tier: 'mod',
+    data: slash('raidend', 'End anti-raid mode now and restore channel permissions'),
+    async run(interaction) {
+      const raid = await getActiveRaid(interaction.guildId);
+      if (!raid) return interaction.editReply('No raid lock is active.');
+      const ended = await endRaid(interaction.guild, raid, interaction.user.id);
+      await interaction.editReply(ended
+        ? `✅ Raid #${raid.id} ended: ${raid.snapshot.length} channel(s) restored. Review posted in the mod log.`
+        : 'That raid was already ended.');
+    },
+  },
+  {
+    tier: 'admin',
+    data: slash('verification', 'Verification gate for new members')
+      .addSubcommand(sc => sc.setName('setup').setDescription('Set the quarantine role and post the verify panel')
+        .addRoleOption(o => o.setName('role').setDescription('Role new members hold until verified').setRequired(true))
+        .addChannelOption(o => o.setName('channel').setDescription('Channel for the verify panel').setRequired(true)))
+      .addSubcommand(sc => sc.setName('on').setDescription('Gate new members'))
+      .addSubcommand(sc => sc.setName('off').setDescription('Stop gating new members'))
+      .addSubcommand(sc => sc.setName('status').setDescription('Settings and the last 24h of outcomes')),
+    async run(interaction) {
+      const sub = interaction.options.getSubcommand();
+      const guildId = interaction.guildId;
+
+      if (sub === 'setup') {
+        const role = interaction.options.getRole('role', true);
+        const channel = interaction.options.getChannel('channel', true);
+        if (!channel.isTextBased?.()) return interaction.editReply('Pick a text channel for the panel.');
+        const row = new ActionRowBuilder().addComponents(
+          new ButtonBuilder().setCustomId('verify:start').setLabel('Start verification').setStyle(ButtonStyle.Success)
+        );
+        await channel.send({
+          embeds: [{
+            title: `Welcome to ${interaction.guild.name}`,
+            description: 'Read the rules and answer a quick question to unlock the rest of the server.',
+          }],
+          components: [row],
+        });
+        await setVerificationSettings(guildId, { enabled: true, roleId: role.id, channelId: channel.id });
+        return interaction.editReply(`🛂 Verification on: new members get <@&${role.id}> until they pass the panel in <#${channel.id}>.`);
+      }
+
+      if (sub === 'on' || sub === 'off') {
+        const settings = await getVerificationSettings(guildId);
+        if (sub === 'on' && !settings.roleId) return interaction.editReply('Run /verification setup first.');
+        await setVerificationSettings(guildId, { enabled: sub === 'on' });
+        return interaction.editReply(sub === 'on' ? '🛂 Verification on.' : '🛂 Verification off: new members join without the gate.');
+      }
+
+      const settings = await getVerificationSettings(guildId);
+      const policy = await getPolicy(guildId);
+      const stats = await getVerificationStats({ guildId, hours: 24 });
+      const counts = ['pending', 'passed', 'failed', 'timed_out', 'left'].map(k => `${k.replace('_', ' ')}: ${stats[k] || 0}`);
+      await interaction.editReply(
+        `🛂 Verification ${settings.enabled ? 'on' : 'off'} · role: ${settings.roleId ? `<@&${settings.roleId}>` : 'not set'} · ` +
+        `panel: ${settings.channelId ? `<#${settings.channelId}>` : 'not set'}\n` +
+        `Deadline: ${policy.verify_timeout_minutes}m (${policy.verify_raid_timeout_minutes}m during a raid)\n` +
+        `Last 24h — ${counts.join(' · ')}`
+      );
+    },
+  },
+  {
+    tier: 'admin',
+    data: slash('votes', 'Community 🚫 voting: role weights and voter track records')
+      .addSubcommand(sc => sc.setName('weights').setDescription('Show role vote weights'))
+      .addSubcommand(sc => sc.setName('weight').setDescription('Give a role\'s votes more weight')
+        .addRoleOption(o => o.setName('role').setDescription('Role').setRequired(true))
+        .addIntegerOption(o => o.setName('weight').setDescription('Vote weight (1 = normal)').setRequired(true).setMinValue(1).setMaxValue(10)))
+      .addSubcommand(sc => sc.setName('unweight').setDescription('Back to normal weight for a role')
+        .addRoleOption(o => o.setName('role').setDescription('Role').setRequired(true)))
+      .addSubcommand(sc => sc.setName('voters').setDescription('Voters whose votes get overturned'))
+      .addSubcommand(sc => sc.setName('message').setDescription('Who voted a message down')
+        .addStringOption(o => o.setName('message_id').setDescription('Message ID').setRequired(true))),
+    async run(interaction) {
+      const sub = interaction.options.getSubcommand();
+      const guildId = interaction.guildId;
+
+      if (sub === 'weight' || sub === 'unweight') {
+        const role = interaction.options.getRole('role', true);
+        const weight = sub === 'weight' ? interaction.options.getInteger('weight', true) : null;
+        await setVoteWeight(guildId, role.id, weight);
+        return interaction.editReply(weight
+          ? `🗳️ Votes from <@&${role.id}> now count ×${weight}.`
+          : `🗳️ <@&${role.id}> votes count normally again.`);
+      }
+
+      if (sub === 'weights') {
+        const policy = await getPolicy(guildId);
+        const weights = Object.entries(await getVoteWeights(guildId));
+        return interaction.editReply(
+          `🗳️ Threshold: ${policy.vote_threshold} · min account age: ${policy.vote_min_account_days}d · ` +
+          `distrust after ${policy.vote_overturn_limit} overturned votes\n` +
+          (weights.length ? weights.map(([id, w]) => `• <@&${id}> ×${w}`).join('\n') : 'Every eligible vote counts ×1.')
+        );
+      }
+
+      if (sub === 'message') {
+        const vote = await getVoteAction(interaction.options.getString('message_id', true).trim());
+        if (!vote || vote.guild_id !== guildId) return interaction.editReply('No vote action on that message.');
+        return interaction.editReply(
+          `🗳️ <@${vote.author_id}>'s message, score ${vote.score}${vote.dry_run ? ' (dry run)' : ''}` +
+          `${vote.overturned ? `, overturned by <@${vote.overturned_by}>` : ''}:\n` +
+          vote.voters.map(v => `• <@${v.id}> ×${v.weight}`).join('\n')
+        );
+      }
+
+      const policy = await getPolicy(guildId);
+      const rows = (await getVoterRecords({ guildId, days: VOTE_RECORD_DAYS })).filter(r => r.overturned > 0);
+      if (!rows.length) return interaction.editReply(`No overturned votes in the last ${VOTE_RECORD_DAYS} days.`);
+      const lines = rows.slice(0, 20).map(r =>
+        `• <@${r.voter_id}> — ${r.overturned} of ${r.votes} overturned${r.overturned >= policy.vote_overturn_limit ? ' · votes ignored' : ''}`
+      );
+      await interaction.editReply(`🗳️ Overturned voters (last ${VOTE_RECORD_DAYS} days):\n${lines.join('\n')}`);
+    },
+  },
+  {
+    tier: 'admin',
+    data: slash('channelrules', 'Per-channel rule profiles: switch checks off or relax thresholds')
+      .addSubcommand(sc => sc.setName('view').setDescription('Show one channel\'s profile, or every channel that has one')
+        .addChannelOption(o => o.setName('channel').setDescription('Channel')))
+      .addSubcommand(sc => sc.setName('disable').setDescription('Switch a check off in a channel')
+        .addChannelOption(o => o.setName('channel').setDescription('Channel').setRequired(true))
+        .addStringOption(checkOption))
+      .addSubcommand(sc => sc.setName('enable').setDescription('Switch a check back on in a channel')
+        .addChannelOption(o => o.setName('channel').setDescription('Channel').setRequired(true))
+        .addStringOption(checkOption))
+      .addSubcommand(sc => sc.setName('relax').setDescription('Override one policy threshold in a channel')
+        .addChannelOption(o => o.setName('channel').setDescription('Channel').setRequired(true))
+        .addStringOption(o => o.setName('key').setDescription('Policy key').setRequired(true).setAutocomplete(true))
+        .addIntegerOption(o => o.setName('value').setDescription('Value in this channel').setRequired(true).setMinValue(0)))
+      .addSubcommand(sc => sc.setName('restore').setDescription('Use the server policy for a key again')
+        .addChannelOption(o => o.setName('channel').setDescription('Channel').setRequired(true))
+        .addStringOption(o => o.setName('key').setDescription('Policy key').setRequired(true).setAutocomplete(true)))
+      .addSubcommand(sc => sc.setName('reset').setDescription('Drop a channel\'s whole profile')
+        .addChannelOption(o => o.setName('channel').setDescription('Channel').setRequired(true))),
+    autocomplete: autocompletePolicyKey,
+    async run(interaction) {
+      const sub = interaction.options.getSubcommand();
+      const guildId = interaction.guildId;
+      const channel = interaction.options.getChannel('channel');
+      const { profiles } = await getCachedScopes(guildId);
+
+      if (sub === 'view') {
+        if (channel) {
+          const profile = profiles[channel.id];
+          return interaction.editReply(profile ? `📋 ${describeProfile(channel.id, profile)}` : `<#${channel.id}> uses the server policy.`);
+        }
+        const entries = Object.entries(profiles);
+        return interaction.editReply(entries.length
+          ? `📋 Channel profiles:\n${entries.map(([id, p]) => `• ${describeProfile(id, p)}`).join('\n')}`
+          : 'No channel profiles; every channel uses the server policy.');
+      }
+
+      if (sub === 'reset') {
+        const removed = await clearChannelProfile(guildId, channel.id);
+        scopeCache.delete(guildId);
+        return interaction.editReply(removed ? `♻️ <#${channel.id}> back to the server policy.` : `<#${channel.id}> had no profile.`);
+      }
+
+      if (sub === 'disable' || sub === 'enable') {
+        const check = interaction.options.getString('check', true);
+        await setChannelCheck({ guildId, channelId: channel.id, check, enabled: sub === 'enable', updatedBy: interaction.user.id });
+        scopeCache.delete(guildId);
+        return interaction.editReply(`📋 \`${check}\` ${sub === 'enable' ? 'on' : 'off'} in <#${channel.id}>.`);
+      }
+
+      const key = interaction.options.getString('key', true);
+      if (!(key in DEFAULT_POLICY)) return interaction.editReply(`❌ Unknown key \`${key}\`.`);
+      if (sub === 'restore') {
+        await setChannelOverride({ guildId, channelId: channel.id, key, value: null, updatedBy: interaction.user.id });
+        scopeCache.delete(guildId);
+        return interaction.editReply(`📋 \`${key}\` in <#${channel.id}> follows the server policy again.`);
+      }
+      const value = interaction.options.getInteger('value', true);
+      const current = { ...(await getPolicy(guildId)), ...profiles[channel.id]?.overrides };
+      const error = validatePolicyChange(current, key, value);
+      if (error) return interaction.editReply(`❌ ${error}`);
+      await setChannelOverride({ guildId, channelId: channel.id, key, value, updatedBy: interaction.user.id });
+      scopeCache.delete(guildId);
+      await interaction.editReply(`📋 \`${key}\` is ${value} in <#${channel.id}> (server: ${current[key]}).`);
+    },
+  },
+  {
+    tier: 'admin',
+    data: slash('trusted', 'Roles whose members skip some or all checks')
+      .addSubcommand(sc => sc.setName('list').setDescription('Show trusted roles'))
+      .addSubcommand(sc => sc.setName('add').setDescription('Let a role skip checks')
+        .addRoleOption(o => o.setName('role').setDescription('Role').setRequired(true))
+        .addStringOption(o => o.setName('checks').setDescription('"all" (default), or checks separated by commas, e.g. tone,emoji').setMaxLength(200)))
+      .addSubcommand(sc => sc.setName('remove').setDescription('Moderate a role like everyone else')
+        .addRoleOption(o => o.setName('role').setDescription('Role').setRequired(true))),
+    async run(interaction) {
+      const sub = interaction.options.getSubcommand();
+      const guildId = interaction.guildId;
+
+      if (sub === 'list') {
+        const entries = Object.entries((await getCachedScopes(guildId)).trusted);
+        return interaction.editReply(entries.length
+          ? `🤝 Trusted roles:\n${entries.map(([id, checks]) => `• <@&${id}> skips ${checks.join(', ')}`).join('\n')}`
+          : '🤝 No trusted roles; everyone gets every check.');
+      }
+
+      const role = interaction.options.getRole('role', true);
+      if (sub === 'remove') {
+        const removed = await removeTrustedRole(guildId, role.id);
+        scopeCache.delete(guildId);
+        return interaction.editReply(removed ? `🤝 <@&${role.id}> is checked like everyone else.` : `<@&${role.id}> wasn't trusted.`);
+      }
+
+      const checks = [...new Set((interaction.options.getString('checks') || 'all').toLowerCase().split(/[\s,]+/).filter(Boolean))];
+      const unknown = checks.filter(c => c !== 'all' && !MODERATION_CHECKS.includes(c));
+      if (unknown.length) return interaction.editReply(`❌ Unknown check(s): ${unknown.join(', ')}. Use ${MODERATION_CHECKS.join(', ')} or all.`);
+      const stored = checks.includes('all') ? ['all'] : checks;
+      await setTrustedRole({ guildId, roleId: role.id, checks: stored, addedBy: interaction.user.id });
+      scopeCache.delete(guildId);
+      await interaction.editReply(`🤝 <@&${role.id}> now skips ${stored[0] === 'all' ? 'every check' : stored.join(', ')}.`);
+    },
+  },
+  {
+    tier: 'admin',
+    data: slash('filters', 'Word, phrase and regex filter rules')
+      .addSubcommand(sc => sc.setName('list').setDescription('Show this server\'s filter rules'))
+      .addSubcommand(sc => sc.setName('add').setDescription('Add a filter rule')
+        .addStringOption(o => o.setName('type').setDescription('How the pattern matches').setRequired(true)
+          .addChoices(...FILTER_TYPES.map(t => ({ name: t, value: t }))))
+        .addStringOption(o => o.setName('pattern').setDescription('Word, phrase or regex').setRequired(true).setMaxLength(200))
+        .addStringOption(o => o.setName('severity').setDescription('Most severe hit wins').setRequired(true)
+          .addChoices(...FILTER_SEVERITIES.map(v => ({ name: v, value: v }))))
+        .addStringOption(o => o.setName('action').setDescription('What a hit does').setRequired(true)
+          .addChoices(...FILTER_ACTIONS.map(a => ({ name: a, value: a })))))
+      .addSubcommand(sc => sc.setName('remove').setDescription('Remove a filter rule')
+        .addStringOption(o => o.setName('id').setDescription('Rule id from /filters list').setRequired(true)))
+      .addSubcommand(sc => sc.setName('test').setDescription('Try text against the rules, or against a rule before adding it')
+        .addStringOption(o => o.setName('text').setDescription('Sample text').setRequired(true).setMaxLength(1000))
+        .addStringOption(o => o.setName('type').setDescription('Candidate rule type')
+          .addChoices(...FILTER_TYPES.map(t => ({ name: t, value: t }))))
+        .addStringOption(o => o.setName('pattern').setDescription('Candidate rule pattern').setMaxLength(200))),
+    async run(interaction) {
+      const sub = interaction.options.getSubcommand();
+      const guildId = interaction.guildId;
+      const filters = await getCachedFilters(guildId);
+
+      if (sub === 'list') {
+        return interaction.editReply(
+          `🧹 Filter rules${filters.custom ? '' : ' (built-in defaults; your first edit makes them your own)'}:\n` +
+          (filters.rules.length ? filters.rules.map(r => `• ${describeFilterRule(r)}`).join('\n') : 'none')
+        );
+      }
+
+      if (sub === 'test') {
+        const text = interaction.options.getString('text', true);
+        const type = interaction.options.getString('type');
+        const pattern = interaction.options.getString('pattern');
+        if (Boolean(type) !== Boolean(pattern)) return interaction.editReply('❌ Give both type and pattern to test a candidate rule.');
+        let compiled = filters.compiled;
+        if (pattern) {
+          try {
+            compiled = [compileFilterRule({ id: 'candidate', type, pattern, severity: 'low', action: 'log' })];
+          } catch (e) {
+            return interaction.editReply(`❌ ${e.message}`);
+          }
+        }
+        const timedOut = [];
+        const hits = matchFilters(text, compiled, { onTimeout: (rule) => timedOut.push(rule) });
+        return interaction.editReply(
+          `🧪 Normalized: \`${normalizeForFilter(text).slice(0, 300)}\`\n` +
+          (hits.length
+            ? hits.map((h, i) => `${i ? '•' : '➡️'} ${describeFilterRule(h.rule)} — matched \`${h.match}\``).join('\n')
+            : 'No rule matches.') +
+          timedOut.map(r => `\n⏱️ ${describeFilterRule(r)} — gave up after ${REGEX_TIMEOUT_MS} ms; it never matches, so simplify it.`).join('')
+        );
+      }
+
+      // editing on top of a failed read could mistake a customized list for the defaults
+      if (filters.readFailed) return interaction.editReply('❌ Couldn\'t read this server\'s filter rules; try again in a moment.');
+
+      // the first edit turns the defaults into this guild's own rules
+      if (!filters.custom) {
+        const removeId = sub === 'remove' ? interaction.options.getString('id', true).trim() : null;
+        await customizeFilterRules(guildId, DEFAULT_FILTER_RULES.filter(r => r.id !== removeId));
+        filterCache.delete(guildId);
+        if (removeId) {
+          return interaction.editReply(DEFAULT_FILTER_RULES.some(r => r.id === removeId)
+            ? `🧹 Rule \`${removeId}\` removed; the other defaults are now your own rules.`
+            : `No rule \`${removeId}\`.`);
+        }
+      }
+
+      if (sub === 'remove') {
+        const id = Number(interaction.options.getString('id', true).trim());
+        const removed = Number.isInteger(id) && await removeFilterRule(guildId, id);
+        filterCache.delete(guildId);
+        return interaction.editReply(removed ? `🧹 Rule \`${id}\` removed.` : 'No rule with that id.');
+      }
+
+      const rule = {
+        type: interaction.options.getString('type', true),
+        pattern: interaction.options.getString('pattern', true).trim(),
+        severity: interaction.options.getString('severity', true),
+        action: interaction.options.getString('action', true),
+      };
+      try {
+        compileFilterRule(rule);
+      } catch (e) {
+        return interaction.editReply(`❌ ${e.message}`);
+      }
+      const added = await addFilterRule({ guildId, ...rule, addedBy: interaction.user.id });
+      filterCache.delete(guildId);
+      await interaction.editReply(`🧹 Added ${describeFilterRule(added)}. Try it with /filters test.`);
+    },
+  },
+  {
+    tier: 'admin',
+    data: slash('links', 'Per-server link allow and deny lists')
+      .addSubcommand(sc => sc.setName('list').setDescription('Show allowed and blocked domains'))
+      .addSubcommand(sc => sc.setName('allow').setDescription('Never flag a domain (and its subdomains) or one invite')
+        .addStringOption(o => o.setName('domain').setDescription('e.g. github.com, or discord.gg/partner for an invite').setRequired(true)))
+      .addSubcommand(sc => sc.setName('deny').setDescription('Delete and strike links to a domain (and its subdomains)')
+        .addStringOption(o => o.setName('domain').setDescription('e.g. free-nitro.gift').setRequired(true)))
+      .addSubcommand(sc => sc.setName('remove').setDescription('Take a domain off either list')
+        .addStringOption(o => o.setName('domain').setDescription('Domain').setRequired(true))),
+    async run(interaction) {
+      const sub = interaction.options.getSubcommand();
+      if (sub === 'list') {
+        const { allow, deny } = await getCachedLinkRules(interaction.guildId);
+        return interaction.editReply(
+          `🔗 Allowed: ${allow.length ? allow.map(d => `\`${d}\``).join(', ') : 'none'}\n` +
+          `⛔ Blocked: ${deny.length ? deny.map(d => `\`${d}\``).join(', ') : 'none'}\n` +
+          'Invites to other servers are flagged unless that invite is allowed; Discord/Steam lookalike domains unless the domain is.'
+        );
+      }
+
+      // invites can only be allowed (or removed); a denied domain is always a host
+      const raw = interaction.options.getString('domain', true);
+      const domain = sub === 'deny' ? normalizeDomain(raw) : normalizeLinkRule(raw);
+      if (!domain) return interaction.editReply('❌ That doesn\'t look like a domain or an invite.');
+      if (sub === 'remove') {
+        const removed = await removeLinkRule(interaction.guildId, domain);
+        linkRulesCache.delete(interaction.guildId);
+        return interaction.editReply(removed ? `🔗 \`${domain}\` removed.` : `\`${domain}\` isn't on either list.`);
+      }
+      await setLinkRule({ guildId: interaction.guildId, domain, list: sub, addedBy: interaction.user.id });
+      linkRulesCache.delete(interaction.guildId);
+      await interaction.editReply(sub === 'allow' ? `🔗 \`${domain}\` allowed.` : `⛔ \`${domain}\` blocked.`);
+    },
+  },
+  {
+    tier: 'admin',
+    data: slash('attachments', 'Attachment type allowlist and known-bad file hashes')
+      .addSubcommandGroup(g => g.setName('types').setDescription('Allowed file extensions')
+        .addSubcommand(sc => sc.setName('list').setDescription('Show allowed extensions'))
+        .addSubcommand(sc => sc.setName('add').setDescription('Allow an extension')
+          .addStringOption(o => o.setName('extension').setDescription('e.g. png').setRequired(true)))
+        .addSubcommand(sc => sc.setName('remove').setDescription('Stop allowing an extension')
+          .addStringOption(o => o.setName('extension').setDescription('e.g. png').setRequired(true)))
+        .addSubcommand(sc => sc.setName('clear').setDescription('Allow any type except executables and archives')))
+      .addSubcommandGroup(g => g.setName('hashes').setDescription('Known-bad files (SHA-256)')
+        .addSubcommand(sc => sc.setName('list').setDescription('Show blocked hashes'))
+        .addSubcommand(sc => sc.setName('add').setDescription('Block a file by hash or by uploading it')
+          .addStringOption(o => o.setName('sha256').setDescription('Hex SHA-256'))
+          .addAttachmentOption(o => o.setName('file').setDescription('Sample of the file to block'))
+          .addStringOption(o => o.setName('note').setDescription('What it is').setMaxLength(200)))
+        .addSubcommand(sc => sc.setName('remove').setDescription('Unblock a hash')
+          .addStringOption(o => o.setName('sha256').setDescription('Hex SHA-256').setRequired(true)))),
+    async run(interaction) {
+      const group = interaction.options.getSubcommandGroup();
+      const sub = interaction.options.getSubcommand();
+      const guildId = interaction.guildId;
+
+      if (group === 'types') {
+        const { types } = await getCachedAttachmentRules(guildId);
+        if (sub === 'list') {
+          const policy = await getPolicy(guildId);
+          return interaction.editReply(
+            `📎 Allowed types: ${types.length ? types.map(t => `\`.${t}\``).join(', ') : 'any (executables and archives are always blocked)'}\n` +
+            `Size limit: ${policy.attachment_max_mb} MB (\`/policy set attachment_max_mb\`)`
+          );
+        }
+        if (sub === 'clear') {
+          await setAttachmentTypes(guildId, []);
+          attachmentRulesCache.delete(guildId);
+          return interaction.editReply('📎 Any file type is allowed again (executables and archives stay blocked).');
+        }
+        const ext = normalizeExtension(interaction.options.getString('extension', true));
+        if (!ext) return interaction.editReply('❌ That doesn\'t look like a file extension.');
+        const next = sub === 'add' ? [...new Set([...types, ext])] : types.filter(t => t !== ext);
+        await setAttachmentTypes(guildId, next);
+        attachmentRulesCache.delete(guildId);
+        return interaction.editReply(sub === 'add' ? `📎 \`.${ext}\` allowed.` : `📎 \`.${ext}\` no longer allowed.`);
+      }
+
+      if (sub === 'list') {
+        const rows = await listBadFileHashes(guildId);
+        if (!rows.length) return interaction.editReply('🧬 No blocked file hashes.');
+        const lines = rows.slice(0, 20).map(r => `• \`${r.sha256.slice(0, 16)}…\` ${r.note || ''}`.trim());
+        return interaction.editReply(`🧬 Blocked file hashes (${rows.length}):\n${lines.join('\n')}`);
+      }
+
+      let hash = interaction.options.getString('sha256')?.trim().toLowerCase() || null;
+      if (sub === 'add' && !hash) {
+        const file = interaction.options.getAttachment('file');
+        if (!file) return interaction.editReply('❌ Give either a SHA-256 or a file.');
+        hash = sha256(await downloadAttachment(file.url));
+      }
+      if (!/^[a-f0-9]{64}$/.test(hash)) return interaction.editReply('❌ That isn\'t a SHA-256 hash.');
+
+      if (sub === 'remove') {
+        const removed = await removeBadFileHash(guildId, hash);
+        attachmentRulesCache.delete(guildId);
+        return interaction.editReply(removed ? `🧬 \`${hash.slice(0, 16)}…\` unblocked.` : 'That hash isn\'t blocked.');
+      }
+      await addBadFileHash({ guildId, hash, note: interaction.options.getString('note'), addedBy: interaction.user.id });
+      attachmentRulesCache.delete(guildId);
+      await interaction.editReply(`🧬 Blocked \`${hash}\`.`);
+    },
+  },
+  {
+    tier: 'admin',
+    data: slash('dryrun', 'Rehearse moderation without acting on anyone')
+      .addSubcommand(sc => sc.setName('on').setDescription('Log would-be actions only'))
+      .addSubcommand(sc => sc.setName('off').setDescription('Go back to enforcing'))
+      .addSubcommand(sc => sc.setName('summary').setDescription('Compare would-be actions with real ones')
+        .addIntegerOption(hoursOption)),
+    async run(interaction) {
+      const sub = interaction.options.getSubcommand();
+      if (sub === 'on' || sub === 'off') {
+        await setDryRun(interaction.guildId, sub === 'on');
+        return interaction.editReply(sub === 'on'
+          ? '🧪 Dry run on: checks still run, but actions are only logged.'
+          : '✅ Dry run off: moderation is enforcing again.');
+      }
+
+      const hours = interaction.options.getInteger('hours') ?? 24;
+      const rows = await getDryRunComparison({ guildId: interaction.guildId, hours });
+      if (!rows.length) return interaction.editReply(`No actions (real or would-be) in last ${hours}h.`);
+
+      const totals = new Map();
+      for (const r of rows) {
+        const t = totals.get(r.action_taken) || { would: 0, real: 0 };
+        t.would += Number(r.would_be);
+        t.real += Number(r.real);
+        totals.set(r.action_taken, t);
+      }
+      const actionLines = [...totals].map(([action, t]) => `• ${action}: would-be ${t.would} vs real ${t.real}`);
+      const reasonLines = rows.slice(0, 10).map(r =>
+        `• ${r.action_taken} / ${r.reason}: would-be ${r.would_be} vs real ${r.real}`
+      );
+      await interaction.editReply(
+        `🧪 Dry run vs real (last ${hours}h):\n${actionLines.join('\n')}\n\nBy reason:\n${reasonLines.join('\n')}`
+      );
+    },
+  },
+  {
+    tier: 'admin',
+    data: slash('cachestats', 'Classifier cache hit rates'),
+    async run(interaction) {
+      const { since, skipped, kinds } = classificationCache.stats;
+      const pct = (hits, misses) => (hits + misses ? `${Math.round((100 * hits) / (hits + misses))}%` : 'n/a');
+      const sessionLines = Object.entries(kinds).map(([kind, c]) =>
+        `• ${kind}: ${pct(c.hits, c.misses)} hit rate (${c.hits} hits / ${c.misses} misses)`
+      );
+      const rows = await getClassificationCacheStats();
+      const storeLines = rows.map(r => `• ${r.kind}: ${r.live} live of ${r.total} stored, ${r.hits} hits served`);
+      await interaction.editReply(
+        `🗃️ Classifier cache (TTL ${CLASSIFICATION_CACHE_TTL_HOURS}h)\n` +
+        `Since <t:${Math.floor(since / 1000)}:R>:\n${sessionLines.join('\n') || '• no lookups yet'}\n` +
+        `• trivial messages skipped: ${skipped}\n\n` +
+        `Stored:\n${storeLines.join('\n') || '• empty'}`
+      );
+    },
+  },
+  {
+    tier: 'admin',
+    data: slash('cleanup', 'Run the daily database cleanup now'),
+    async run(interaction) {
+      await runDailyCleanup();
+      await interaction.editReply('🧹 Database cleanup completed!');
+    },
+  },
+  {
+    tier: 'owner',
+    modal: true,
+    data: slash('dmallonce', 'One-time DM to every member ({display} and {server} are filled in)'),
+    async run(interaction) {
+      const input = new TextInputBuilder()
+        .setCustomId('message')
+        .setLabel('Message')
+        .setStyle(TextInputStyle.Paragraph)
+        .setRequired(true);
+      await interaction.showModal(
+        new ModalBuilder()
+          .setCustomId('dmallonce')
+          .setTitle('One-time DM broadcast')
+          .addComponents(new ActionRowBuilder().addComponents(input))
+      );
+    },
+  },
+  {
+    tier: 'owner',
+    data: slash('dmallreset', 'Forget who already got the one-time DM'),
+    async run(interaction) {
+      dmOnceStore.guilds[interaction.guildId] = { sentTo: {}, runs: [] };
+      await saveDmOnce();
+      await interaction.editReply('♻️ Reset done. The bot will treat everyone as not-yet-messaged.');
+    },
+  },
+];
+
+for (const cmd of ADMIN_COMMANDS) {
+  if (cmd.tier !== 'mod') cmd.data.setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild);
+}
+const adminCommandsByName = new Map(ADMIN_COMMANDS.map(c => [c.data.name, c]));
+
+client.on(Events.InteractionCreate, async (interaction) => {
+  if (interaction.isModalSubmit() && interaction.customId === 'dmallonce') {
+    if (!(await canUseCommand(interaction, 'owner'))) return;
+    const baseMsg = interaction.fields.getTextInputValue('message').trim();
+    await interaction.reply({ content: '🕊️ Broadcast queued; progress goes to your DMs.', flags: MessageFlags.Ephemeral });
+    if (baseMsg) await runDmBroadcast(interaction.guild, interaction.user, baseMsg);
+    return;
+  }
+
+  if (interaction.isAutocomplete()) {
+    const command = adminCommandsByName.get(interaction.commandName);
+    await command?.autocomplete?.(interaction).catch(e => console.error(`/${interaction.commandName} autocomplete failed:`, e));
+    return;
+  }
+
+  if (!interaction.isChatInputCommand() || !interaction.inGuild()) return;
+  const command = adminCommandsByName.get(interaction.commandName);
+  if (!command) return;
+
+  if (!(await canUseCommand(interaction, command.tier))) {
+    await interaction.reply({ content: '🔒 You don’t have permission to use this command.', flags: MessageFlags.Ephemeral });
+    return;
+  }
+
+  try {
+    if (!command.modal) await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    await command.run(interaction);
+  } catch (e) {
+    console.error(`/${interaction.commandName} failed:`, e);
+    const content = '❌ Something went wrong running that command.';
+    if (interaction.deferred || interaction.replied) await interaction.editReply(content).catch(() => {});
+    else await interaction.reply({ content, flags: MessageFlags.Ephemeral }).catch(() => {});
+  }
+});
 
 // ---------- startup ----------
 client.once(Events.ClientReady, async () => {
   console.log(`✅ Logged in as ${client.user.tag}`);
 
+  // moderation state tables (strikes, shadowbans, guild settings)
+  try {
+    await ensureModerationTables();
+  } catch (e) {
+    console.error('ensureModerationTables failed:', e);
+  }
+
+  // register admin slash commands (global; permission checks happen per interaction)
+  try {
+    await client.application.commands.set(ADMIN_COMMANDS.map(c => c.data.toJSON()));
+  } catch (e) {
+    console.error('Slash command registration failed:', e);
+  }
+
   // load DM store after login
   await loadDmOnce();
 
@@ -897,6 +3325,33 @@ client.once(Events.ClientReady, async () => {
   };
   scheduleCleanup();
 
+  // Each sweep runs once now and then on its interval. Nothing here is awaited: a failing
+  // sweep is logged and retried on its next tick without holding up the ones after it.
+  const runSweep = (sweep, label) => sweep().catch(e => console.error(`${label} failed:`, e));
+
+  // anti-raid auto-unlock; the first sweep also ends raids that outlived a restart
+  runSweep(sweepQuietRaids, 'Raid sweep');
+  setInterval(() => runSweep(sweepQuietRaids, 'Raid sweep'), 60 * 1000);
+
+  // heat slowmode cool-down; the first sweep restores channels left slowed across a restart
+  runSweep(sweepCooledChannels, 'Slowmode sweep');
+  setInterval(() => runSweep(sweepCooledChannels, 'Slowmode sweep'), 60 * 1000);
+
+  // multi-person argument detection over conversation_history
+  setInterval(() => scanForConflicts().catch(e => console.error('Conflict scan failed:', e)), CONFLICT_SCAN_MINUTES * 60 * 1000);
+
+  // timed bans/shadowbans/role removals; the first sweep catches up on anything missed while offline
+  runSweep(sweepTimedActions, 'Timed action sweep');
+  setInterval(() => runSweep(sweepTimedActions, 'Timed action sweep'), 60 * 1000);
+
+  // verification deadlines; the first sweep catches up on anyone who expired while offline
+  runSweep(sweepVerifications, 'Verification sweep');
+  setInterval(() => runSweep(sweepVerifications, 'Verification sweep'), 60 * 1000);
+
+  // weekly report; the first sweep posts one that was due while offline
+  runSweep(sweepWeeklyReports, 'Weekly report sweep');
+  setInterval(() => runSweep(sweepWeeklyReports, 'Weekly report sweep'), 60 * 60 * 1000);
+
   // IMPORTANT: No auto-starter interval. No conversation join prompts. No mention-based chatting.
 });
 
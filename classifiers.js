@@ -0,0 +1,281 @@
+// classifiers.js — moderation + tone classifier backends
+// Every backend exposes the same shape:
+//   { name, moderate(text) -> { flagged, categories }, classifyTone(text, context?) -> tone verdict,
+//     moderateImage?(url) -> { flagged, categories } }   (optional: text-only backends skip it)
+// `context` = { author_id, reply_to, recent, pair } is the conversation around the message
+// (see formatToneContext); backends use it to judge intent, not to label earlier messages.
+// createClassifier() tries backends in order and falls through to the next one on
+// any error, so the built-in `local` backend keeps the pipeline alive when OpenAI
+// is down or rate-limited. Results carry `backend` so callers can log who answered.
+import { createHash } from 'crypto';
+import { CLEAN_TONE, normalizeForRepeat, assessTone } from './moderation.js';
+
+const CLEAN_MODERATION = { flagged: false, categories: { harassment: false, hate: false, violence: false } };
+
+// Recent channel messages sent along as context (bot.js and the eval build the same shape).
+export const TONE_CONTEXT_MESSAGES = 5;
+
+// Speakers are labelled, not named: "Author" wrote the message being judged, others are Member A, B, ...
+export function formatToneContext(context) {
+  const labels = new Map([[context.author_id, 'Author']]);
+  const label = (id) => {
+    if (!labels.has(id)) labels.set(id, `Member ${String.fromCharCode(64 + labels.size)}`);
+    return labels.get(id);
+  };
+  const lines = [];
+  if (context.recent?.length) {
+    lines.push('Recent messages in the channel (oldest first):');
+    for (const m of context.recent) lines.push(`${label(m.user_id)}: ${m.content}`);
+  }
+  if (context.reply_to) lines.push(`The message is a reply to ${label(context.reply_to.user_id)}: ${context.reply_to.content}`);
+  if (context.pair) {
+    lines.push(`Author and ${label(context.pair.user_id)} have had ${context.pair.exchanges} back-and-forth messages ` +
+      `in the last 30 days, ${context.pair.incidents} of them moderated${context.pair.familiar ? ' (they are regulars who get on)' : ''}.`);
+  }
+  return lines.join('\n');
+}
+
+const TOXICITY_LEVELS = ['none', 'low', 'medium', 'high'];
+const TONE_FLAGS = ['passive_aggressive', 'condescending', 'provocation'];
+
+// Model output is only trusted in the documented shape; anything else throws so the
+// next backend answers instead of a half-parsed verdict reading as a tone issue.
+function validateTone(raw) {
+  if (!raw || typeof raw !== 'object' || !TOXICITY_LEVELS.includes(raw.toxicity)) {
+    throw new Error(`malformed tone verdict: ${JSON.stringify(raw)?.slice(0, 200)}`);
+  }
+  const tone = { toxicity: raw.toxicity };
+  for (const flag of TONE_FLAGS) {
+    if (raw[flag] !== undefined && typeof raw[flag] !== 'boolean') throw new Error(`malformed tone flag ${flag}`);
+    tone[flag] = raw[flag] === true;
+  }
+  return tone;
+}
+
+// ---------- OpenAI ----------
+export function createOpenAIBackend(openai) {
+  return {
+    name: 'openai',
+
+    async moderate(text) {
+      const modRes = await openai.moderations.create({
+        model: 'omni-moderation-latest',
+        input: text,
+      });
+      return modRes.results[0];
+    },
+
+    // `url` may be a data: URL, so Discord CDN links never have to be fetchable by OpenAI
+    async moderateImage(url) {
+      const modRes = await openai.moderations.create({
+        model: 'omni-moderation-latest',
+        input: [{ type: 'image_url', image_url: { url } }],
+      });
+      return modRes.results[0];
+    },
+
+    async classifyTone(text, context = null) {
+      const resp = await openai.chat.completions.create({
+        model: 'gpt-4o-mini',
+        temperature: 0,
+        response_format: { type: 'json_object' },
+        messages: [
+          {
+            role: 'system',
+            content:
+`You label chat messages for moderation tone. Output strict JSON with keys:
+- passive_aggressive: boolean
+- condescending: boolean  (talking down, superiority/flexing/"big-dicking")
+- provocation: boolean    (baiting/escalating)
+- toxicity: "none"|"low"|"medium"|"high"
+No extra text.
+When CONTEXT is given, label only the final MESSAGE and use the context to judge intent:
+teasing between members who talk often without incident ("yeah right, genius") is banter,
+not condescension or provocation. Still flag it if the other person is clearly upset
+or the exchange is escalating.`
+          },
+          { role: 'user', content: context ? `CONTEXT:\n${formatToneContext(context)}\n\nMESSAGE:\n${text}` : text }
+        ]
+      });
+      // unparseable or malformed output counts as a failure so the next backend gets a go
+      return validateTone(JSON.parse(resp.choices[0].message.content));
+    },
+  };
+}
+
+// ---------- local (offline) ----------
+// Weighted wordlists + regex heuristics. A category is flagged once its summed
+// weight reaches 1. Deliberately conservative: it only has to hold the line
+// until the primary backend is back, so it never reports 'low' toxicity (a lone
+// swear word is no tone issue) and only flags what scores a full point.
+const RULES = {
+  harassment: [
+    [/\b(you('re| are)|ur|u r)\s+(an?\s+)?(idiot|moron|loser|clown|pathetic|worthless|trash|garbage|stupid|dumb)\b/i, 1],
+    [/\b(kys|kill\s+your\s*self)\b/i, 1],
+    [/\b(nobody|no one)\s+(likes|wants)\s+you\b/i, 0.8],
+    [/\b(shut\s+up|stfu)\b/i, 0.4],
+    [/\b(idiot|moron|loser|dumbass|clown)\b/i, 0.4],
+  ],
+  hate: [
+    [/\b(subhuman|vermin|inferior\s+race)\b/i, 1],
+    [/\bgo\s+back\s+to\s+(your|ur)\s+(own\s+)?country\b/i, 1],
+    [/\b(all|those|these)\s+\w+\s+(people\s+)?are\s+(animals|disgusting|a\s+disease)\b/i, 1],
+  ],
+  violence: [
+    [/\bi('ll| will|'m going to|m gonna| am gonna)\s+(kill|hurt|stab|shoot|beat|find)\s+(you|u)\b/i, 1],
+    [/\b(shoot|stab|bomb)\s+(up\s+)?(the\s+)?(school|campus|class)\b/i, 1],
+    [/\b(you('re| are)|ur)\s+(dead|gonna\s+die)\b/i, 0.6],
+  ],
+};
+
+const TONE_RULES = {
+  condescending: [
+    [/\bimagine\s+not\s+(knowing|understanding)\b/i, 1],
+    [/\b(it'?s|this is)\s+not\s+(that\s+)?(hard|complicated|rocket science)\b/i, 1],
+    [/\b(even\s+a\s+(child|kid|toddler)|learn\s+to\s+(read|code|google))\b/i, 1],
+    [/\b(basic\s+stuff|obviously|clearly\s+you)\b/i, 0.5],
+  ],
+  passive_aggressive: [
+    [/\b(per\s+my\s+last\s+message|as\s+i\s+(already|clearly)\s+said)\b/i, 1],
+    [/\b(no\s+offen[cs]e\s+but|must\s+be\s+nice|thanks\s+for\s+nothing)\b/i, 1],
+    [/^(k|ok|fine|sure)[.!]?\s*(whatever)?\.?$/i, 0.6],
+    [/\bwhatever\b/i, 0.4],
+  ],
+  provocation: [
+    [/\b(fight\s+me|cry\s+about\s+it|stay\s+mad|cope|seethe|skill\s+issue)\b/i, 1],
+    [/\b(ratio|L\s*\+\s*ratio)\b/i, 0.6],
+  ],
+};
+
+const PROFANITY = /\b(fuck\w*|shit\w*|bitch\w*|asshole|bastard|dick)\b/gi;
+
+function scoreRules(text, rules) {
+  return rules.reduce((sum, [re, weight]) => sum + (re.test(text) ? weight : 0), 0);
+}
+
+export const localBackend = {
+  name: 'local',
+
+  async moderate(text) {
+    if (!text || !text.trim()) return CLEAN_MODERATION;
+    const category_scores = {};
+    const categories = {};
+    for (const [category, rules] of Object.entries(RULES)) {
+      category_scores[category] = Math.min(1, scoreRules(text, rules));
+      categories[category] = category_scores[category] >= 1;
+    }
+    return { flagged: Object.values(categories).some(Boolean), categories, category_scores };
+  },
+
+  async classifyTone(text, context = null) {
+    if (!text || !text.trim()) return CLEAN_TONE;
+    const tone = {};
+    for (const [flag, rules] of Object.entries(TONE_RULES)) {
+      tone[flag] = scoreRules(text, rules) >= 1;
+    }
+
+    const letters = text.replace(/[^a-z]/gi, '');
+    const shouting = letters.length >= 12 && letters.replace(/[^A-Z]/g, '').length / letters.length > 0.7;
+    const profanity = (text.match(PROFANITY) || []).length;
+    const insults = scoreRules(text, RULES.harassment);
+    const score = profanity * 0.5 + insults + (shouting ? 0.5 : 0) +
+      (tone.condescending || tone.provocation ? 0.5 : 0) + (tone.passive_aggressive ? 0.25 : 0);
+
+    tone.toxicity = score >= 2 ? 'high' : score >= 1 ? 'medium' : 'none';
+    // the wordlists can't read intent, so mild jabs between mates are let through
+    if (context?.pair?.familiar && tone.toxicity === 'none') return CLEAN_TONE;
+    return tone;
+  },
+};
+
+// ---------- failover ----------
+export function createClassifier(backends) {
+  async function firstThatAnswers(method, text, empty, ...extra) {
+    if (!text || !text.trim()) return { ...empty, backend: 'none' };
+    for (const backend of backends) {
+      if (!backend[method]) continue;
+      try {
+        const result = await backend[method](text, ...extra);
+        return { ...result, backend: backend.name };
+      } catch (e) {
+        console.warn(`classifier ${backend.name}.${method} failed, falling back:`, e?.message || e);
+      }
+    }
+    // every backend failed, or none supports this input (images without OpenAI)
+    return { ...empty, backend: 'none' };
+  }
+
+  return {
+    moderate: (text) => firstThatAnswers('moderate', text, CLEAN_MODERATION),
+    classifyTone: (text, context = null) => firstThatAnswers('classifyTone', text, CLEAN_TONE, context),
+    moderateImage: (url) => firstThatAnswers('moderateImage', url, CLEAN_MODERATION),
+  };
+}
+
+// The message alone is judged first (cacheable). Only a flagged verdict is judged again with
+// the conversation around it, which is where banter between mates gets cleared; the
+// returned verdict carries the `context` it used (null when the message stood alone).
+// Shared by bot.js and the offline eval so both take the same path.
+export async function classifyInContext(classifyTone, text, getContext = null) {
+  const tone = await classifyTone(text);
+  if (!getContext || !assessTone(tone).hasToneIssues) return { ...tone, context: null };
+  const context = await getContext();
+  if (!context) return { ...tone, context: null };
+  return { ...(await classifyTone(text, context)), context };
+}
+
+// MODERATION_BACKENDS="openai,local" (default). Unknown names are ignored; `local`
+// is always appended so there is an offline answer of last resort.
+export function backendsFromEnv(spec, { openai }) {
+  const available = { local: localBackend };
+  if (openai) available.openai = createOpenAIBackend(openai);
+  const names = (spec || 'openai,local').split(',').map(s => s.trim()).filter(n => available[n]);
+  if (!names.includes('local')) names.push('local');
+  return names.map(n => available[n]);
+}
+
+// ---------- cache ----------
+// Verdicts keyed by a hash of the normalized text, so "lol", "thanks" and pasted
+// memes hit a backend once per TTL instead of once per message.
+// `store` = { get(hash, kind) -> { backend, result } | null, set(hash, kind, backend, result) }.
+// Fallback answers from `local` are never stored: they'd outlive the outage.
+const UNCACHED_BACKENDS = new Set(['local', 'none']);
+
+export function contentHash(text) {
+  return createHash('sha256').update(normalizeForRepeat(text)).digest('hex');
+}
+
+export function createClassificationCache(store) {
+  const stats = { since: Date.now(), skipped: 0, kinds: {} }; // kinds: kind -> { hits, misses }
+
+  async function through(kind, text, compute) {
+    const counts = (stats.kinds[kind] ||= { hits: 0, misses: 0 });
+    const hash = contentHash(text);
+    const hit = await store.get(hash, kind);
+    if (hit) {
+      counts.hits += 1;
+      return { ...hit.result, backend: hit.backend, cached: true };
+    }
+    counts.misses += 1;
+    const result = await compute(text);
+    if (result?.backend && !UNCACHED_BACKENDS.has(result.backend)) {
+      const { backend, ...verdict } = result;
+      await store.set(hash, kind, backend, verdict);
+    }
+    return result;
+  }
+
+  return {
+    stats,
+    through,
+    wrap: (classifier) => ({
+      moderate: (text) => through('moderation', text, classifier.moderate),
+      // a verdict with context is specific to that conversation, so it skips the cache
+      classifyTone: (text, context = null) => (context
+        ? classifier.classifyTone(text, context)
+        : through('tone', text, classifier.classifyTone)),
+      // images are keyed by the file's own hash rather than by the (huge) data URL
+      moderateImage: (url, fileHash) => through('image', fileHash, () => classifier.moderateImage(url)),
+    }),
+  };
+}
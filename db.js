@@ -3,106 +3,1651 @@ import pg from 'pg';
 
 export const pool = new pg.Pool({ connectionString: process.env.DATABASE_URL });
 
+// how long a cached classifier verdict stays valid
+export const CLASSIFICATION_CACHE_TTL_HOURS = Number(process.env.CLASSIFICATION_CACHE_TTL_HOURS) || 72;
+
 // ---------- persona embeddings ----------
 export async function rememberEmbedding({ personaId, text, embedding }) {
   await pool.query(
-    `INSERT INTO persona_embeddings (persona_id, text, embedding)
-     VALUES ($1, $2, $3::float4[]::vector)`,
-    [personaId, text, embedding]
+    `INSERT INTO persona_embeddings (persona_id, text, embedding)
+     VALUES ($1, $2, $3::float4[]::vector)`,
+    [personaId, text, embedding]
+  );
+}
+
+export async function searchSimilar({ personaId, embedding, k = 5 }) {
+  const { rows } = await pool.query(
+    `SELECT id, text, 1 - (embedding <=> ($1::float4[]::vector)) AS cosine_similarity
+     FROM persona_embeddings
+     WHERE persona_id = $2
+     ORDER BY embedding <=> ($1::float4[]::vector)
+     LIMIT $3`,
+    [embedding, personaId, k]
+  );
+  return rows;
+}
+
+// ---------- user memory ----------
+export async function rememberUserQuirk(userId, note) {
+  await pool.query(
+    'INSERT INTO user_memory (user_id, note) VALUES ($1, $2)',
+    [userId, note]
+  );
+}
+
+export async function getUserQuirks(userId, limit = 5) {
+  const { rows } = await pool.query(
+    'SELECT note FROM user_memory WHERE user_id = $1 ORDER BY created_at DESC LIMIT $2',
+    [userId, limit]
+  );
+  return rows.map(r => r.note);
+}
+
+// ---------- moderation logging ----------
+// Every checked message gets a moderation_log row; these are the ones anything flagged or acted on.
+const FLAGGED_LOG_ROW = `(action_taken <> 'none' OR toxicity <> 'none' OR harassment OR hate OR violence
+  OR passive_aggr OR condescending OR provocation OR unsafe_link
+  OR mention_abuse IS NOT NULL OR filter_match IS NOT NULL)`;
+
+export async function logModerationEvent({
+  guildId, channelId, userId, messageId, content,
+  harassment=false, hate=false, violence=false,
+  passive_aggr=false, condescending=false, provocation=false,
+  toxicity='none', action_taken='none', reason=null, dry_run=false,
+  moderation_backend=null, tone_backend=null, edited_from=null,
+  unsafe_link=false, link_findings=null, mention_abuse=null, tone_context=null, filter_match=null
+}) {
+  const { rows } = await pool.query(
+    `INSERT INTO moderation_log
+     (guild_id, channel_id, user_id, message_id, content,
+      harassment, hate, violence, passive_aggr, condescending, provocation, toxicity, action_taken, reason, dry_run,
+      moderation_backend, tone_backend, edited_from, unsafe_link, link_findings, mention_abuse, tone_context, filter_match)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,$22,$23)
+     RETURNING id`,
+    [guildId, channelId, userId, messageId, content,
+     harassment, hate, violence, passive_aggr, condescending, provocation, toxicity, action_taken, reason, dry_run,
+     moderation_backend, tone_backend, edited_from, unsafe_link,
+     link_findings ? JSON.stringify(link_findings) : null,
+     mention_abuse ? JSON.stringify(mention_abuse) : null,
+     tone_context ? JSON.stringify(tone_context) : null,
+     filter_match ? JSON.stringify(filter_match) : null]
+  );
+  return rows[0].id;
+}
+
+export async function getModerationLogEntry(id) {
+  const { rows } = await pool.query(
+    `SELECT id, guild_id, channel_id, user_id, message_id, content, action_taken, reason, appeal_status, created_at
+     FROM moderation_log
+     WHERE id = $1`,
+    [id]
+  );
+  return rows[0] || null;
+}
+
+// Recent incidents (any severity) in last N hours for a guild
+export async function getRecentIncidents({ guildId, hours = 24, limit = 20 }) {
+  const { rows } = await pool.query(
+    `SELECT user_id, action_taken, dry_run, passive_aggr, condescending, provocation, unsafe_link, toxicity, content, created_at
+     FROM moderation_log
+     WHERE guild_id = $1 AND created_at >= now() - ($2 || ' hours')::interval
+     ORDER BY created_at DESC
+     LIMIT $3`,
+    [guildId, String(hours), limit]
+  );
+  return rows;
+}
+
+// Per-user summary window
+export async function getUserBehaviorSummary({ userId, hours = 168 }) {
+  const { rows } = await pool.query(
+    `SELECT
+        COUNT(*) AS total,
+        SUM(CASE WHEN passive_aggr THEN 1 ELSE 0 END) AS passive_aggr,
+        SUM(CASE WHEN condescending THEN 1 ELSE 0 END) AS condescending,
+        SUM(CASE WHEN provocation THEN 1 ELSE 0 END) AS provocation,
+        SUM(CASE WHEN action_taken IN ('warn','timeout','kick','ban','delete') AND NOT dry_run THEN 1 ELSE 0 END) AS actions
+     FROM moderation_log
+     WHERE user_id = $1 AND created_at >= now() - ($2 || ' hours')::interval`,
+    [userId, String(hours)]
+  );
+  return rows[0];
+}
+
+// Top users by incidents
+export async function getTopSuspects({ guildId, hours = 24, limit = 5 }) {
+  const { rows } = await pool.query(
+    `SELECT user_id,
+            COUNT(*) AS incidents,
+            SUM(CASE WHEN passive_aggr OR condescending OR provocation THEN 1 ELSE 0 END) AS tone_flags,
+            SUM(CASE WHEN action_taken IN ('warn','timeout','kick','ban','delete') AND NOT dry_run THEN 1 ELSE 0 END) AS actions
+     FROM moderation_log
+     WHERE guild_id = $1 AND created_at >= now() - ($2 || ' hours')::interval
+     GROUP BY user_id
+     ORDER BY actions DESC, tone_flags DESC, incidents DESC
+     LIMIT $3`,
+    [guildId, String(hours), limit]
+  );
+  return rows;
+}
+
+// Would-be (dry-run) vs real actions in a window, per action and reason
+export async function getDryRunComparison({ guildId, hours = 24 }) {
+  const { rows } = await pool.query(
+    `SELECT action_taken, COALESCE(reason, 'unspecified') AS reason,
+            SUM(CASE WHEN dry_run THEN 1 ELSE 0 END) AS would_be,
+            SUM(CASE WHEN NOT dry_run THEN 1 ELSE 0 END) AS real
+     FROM moderation_log
+     WHERE guild_id = $1
+       AND action_taken <> 'none'
+       AND created_at >= now() - ($2 || ' hours')::interval
+     GROUP BY action_taken, COALESCE(reason, 'unspecified')
+     ORDER BY action_taken, would_be DESC, real DESC`,
+    [guildId, String(hours)]
+  );
+  return rows;
+}
+
+// ---------- moderation schema ----------
+// Tables the moderation bot owns. Safe to run on every startup.
+export async function ensureModerationTables() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS moderation_log (
+      id BIGSERIAL PRIMARY KEY,
+      guild_id TEXT,
+      channel_id TEXT,
+      user_id TEXT,
+      message_id TEXT,
+      content TEXT,
+      harassment BOOLEAN DEFAULT false,
+      hate BOOLEAN DEFAULT false,
+      violence BOOLEAN DEFAULT false,
+      passive_aggr BOOLEAN DEFAULT false,
+      condescending BOOLEAN DEFAULT false,
+      provocation BOOLEAN DEFAULT false,
+      toxicity TEXT DEFAULT 'none',
+      action_taken TEXT DEFAULT 'none',
+      created_at TIMESTAMPTZ DEFAULT now()
+    );
+    CREATE INDEX IF NOT EXISTS moderation_log_guild_time_idx ON moderation_log (guild_id, created_at DESC);
+    ALTER TABLE moderation_log ADD COLUMN IF NOT EXISTS reason TEXT;
+    ALTER TABLE moderation_log ADD COLUMN IF NOT EXISTS appeal_status TEXT;
+    ALTER TABLE moderation_log ADD COLUMN IF NOT EXISTS dry_run BOOLEAN NOT NULL DEFAULT false;
+    ALTER TABLE moderation_log ADD COLUMN IF NOT EXISTS moderation_backend TEXT;
+    ALTER TABLE moderation_log ADD COLUMN IF NOT EXISTS tone_backend TEXT;
+    -- content before the edit, for rows written when an edited message is re-moderated
+    ALTER TABLE moderation_log ADD COLUMN IF NOT EXISTS edited_from TEXT;
+    -- link scanner category: findings are [{ kind, url, host, via, reason }]
+    ALTER TABLE moderation_log ADD COLUMN IF NOT EXISTS unsafe_link BOOLEAN NOT NULL DEFAULT false;
+    ALTER TABLE moderation_log ADD COLUMN IF NOT EXISTS link_findings JSONB;
+    -- mass-mention hits: { kind, scope, users, roles, everyone }
+    ALTER TABLE moderation_log ADD COLUMN IF NOT EXISTS mention_abuse JSONB;
+    -- what the tone verdict was judged with: { author_id, reply_to, recent, pair } (null = message alone)
+    ALTER TABLE moderation_log ADD COLUMN IF NOT EXISTS tone_context JSONB;
+    -- filter-rule hit: { rule_id, type, pattern, severity, action, match }
+    ALTER TABLE moderation_log ADD COLUMN IF NOT EXISTS filter_match JSONB;
+
+    CREATE TABLE IF NOT EXISTS moderation_appeals (
+      id BIGSERIAL PRIMARY KEY,
+      moderation_log_id BIGINT NOT NULL UNIQUE,
+      guild_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      action TEXT NOT NULL,
+      appeal_text TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      mod_log_message_id TEXT,
+      decided_by TEXT,
+      decided_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ DEFAULT now()
+    );
+
+    CREATE TABLE IF NOT EXISTS moderation_strikes (
+      guild_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      strike_count INT NOT NULL DEFAULT 0,
+      last_strike_at TIMESTAMPTZ,
+      timeout_until TIMESTAMPTZ,
+      last_tone_reply_at TIMESTAMPTZ,
+      PRIMARY KEY (guild_id, user_id)
+    );
+    -- separate ladder for dry-run guilds so rehearsed strikes never count for real
+    CREATE TABLE IF NOT EXISTS moderation_dry_run_strikes (LIKE moderation_strikes INCLUDING ALL);
+
+    CREATE TABLE IF NOT EXISTS shadowbans (
+      guild_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      created_by TEXT,
+      created_at TIMESTAMPTZ DEFAULT now(),
+      PRIMARY KEY (guild_id, user_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS guild_settings (
+      guild_id TEXT PRIMARY KEY,
+      moderation_enabled BOOLEAN NOT NULL DEFAULT true,
+      updated_at TIMESTAMPTZ DEFAULT now()
+    );
+    ALTER TABLE guild_settings ADD COLUMN IF NOT EXISTS policy JSONB NOT NULL DEFAULT '{}'::jsonb;
+    ALTER TABLE guild_settings ADD COLUMN IF NOT EXISTS mod_role_ids TEXT[] NOT NULL DEFAULT '{}';
+    ALTER TABLE guild_settings ADD COLUMN IF NOT EXISTS case_counter INT NOT NULL DEFAULT 0;
+    ALTER TABLE guild_settings ADD COLUMN IF NOT EXISTS dry_run BOOLEAN NOT NULL DEFAULT false;
+    -- attachment extension allowlist; empty = any type that isn't an executable/archive
+    ALTER TABLE guild_settings ADD COLUMN IF NOT EXISTS attachment_types TEXT[] NOT NULL DEFAULT '{}';
+    -- roleId -> weight of a 🚫 vote from a member holding that role
+    ALTER TABLE guild_settings ADD COLUMN IF NOT EXISTS vote_weights JSONB NOT NULL DEFAULT '{}'::jsonb;
+    -- false until the guild edits its filter rules; until then the built-in defaults apply
+    ALTER TABLE guild_settings ADD COLUMN IF NOT EXISTS filters_custom BOOLEAN NOT NULL DEFAULT false;
+    ALTER TABLE guild_settings ADD COLUMN IF NOT EXISTS verify_enabled BOOLEAN NOT NULL DEFAULT false;
+    ALTER TABLE guild_settings ADD COLUMN IF NOT EXISTS quarantine_role_id TEXT;
+    ALTER TABLE guild_settings ADD COLUMN IF NOT EXISTS verify_channel_id TEXT;
+    -- slot of the last weekly report posted (see claimWeeklyReport)
+    ALTER TABLE guild_settings ADD COLUMN IF NOT EXISTS weekly_report_at TIMESTAMPTZ;
+
+    CREATE TABLE IF NOT EXISTS moderation_cases (
+      guild_id TEXT NOT NULL,
+      case_number INT NOT NULL,
+      moderation_log_id BIGINT,
+      user_id TEXT NOT NULL,
+      action TEXT NOT NULL,
+      actor_type TEXT NOT NULL,
+      actor_id TEXT,
+      reason TEXT,
+      mod_log_message_id TEXT,
+      created_at TIMESTAMPTZ DEFAULT now(),
+      updated_at TIMESTAMPTZ,
+      updated_by TEXT,
+      PRIMARY KEY (guild_id, case_number)
+    );
+    CREATE INDEX IF NOT EXISTS moderation_cases_user_idx ON moderation_cases (guild_id, user_id, case_number DESC);
+
+    -- private to officers: never shown to the member, never sent to the mod-log
+    CREATE TABLE IF NOT EXISTS officer_notes (
+      id BIGSERIAL PRIMARY KEY,
+      guild_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      author_id TEXT NOT NULL,
+      note TEXT NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT now()
+    );
+    CREATE INDEX IF NOT EXISTS officer_notes_user_idx ON officer_notes (guild_id, user_id, created_at DESC);
+
+    -- type: word | phrase | regex; action: log | delete | warn | escalate (see filters.js)
+    CREATE TABLE IF NOT EXISTS guild_filter_rules (
+      id SERIAL PRIMARY KEY,
+      guild_id TEXT NOT NULL,
+      type TEXT NOT NULL,
+      pattern TEXT NOT NULL,
+      severity TEXT NOT NULL,
+      action TEXT NOT NULL,
+      added_by TEXT,
+      created_at TIMESTAMPTZ DEFAULT now()
+    );
+    CREATE INDEX IF NOT EXISTS guild_filter_rules_guild_idx ON guild_filter_rules (guild_id);
+
+    -- per-channel rule profile: checks switched off + policy keys relaxed for that channel
+    CREATE TABLE IF NOT EXISTS channel_profiles (
+      guild_id TEXT NOT NULL,
+      channel_id TEXT NOT NULL,
+      disabled_checks TEXT[] NOT NULL DEFAULT '{}',
+      overrides JSONB NOT NULL DEFAULT '{}'::jsonb,
+      updated_by TEXT,
+      updated_at TIMESTAMPTZ DEFAULT now(),
+      PRIMARY KEY (guild_id, channel_id)
+    );
+
+    -- checks a role's members skip; 'all' skips every check
+    CREATE TABLE IF NOT EXISTS trusted_roles (
+      guild_id TEXT NOT NULL,
+      role_id TEXT NOT NULL,
+      checks TEXT[] NOT NULL,
+      added_by TEXT,
+      created_at TIMESTAMPTZ DEFAULT now(),
+      PRIMARY KEY (guild_id, role_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS guild_link_rules (
+      guild_id TEXT NOT NULL,
+      domain TEXT NOT NULL,
+      list TEXT NOT NULL CHECK (list IN ('allow', 'deny')),
+      added_by TEXT,
+      created_at TIMESTAMPTZ DEFAULT now(),
+      PRIMARY KEY (guild_id, domain)
+    );
+
+    CREATE TABLE IF NOT EXISTS guild_file_hashes (
+      guild_id TEXT NOT NULL,
+      sha256 TEXT NOT NULL,
+      note TEXT,
+      added_by TEXT,
+      created_at TIMESTAMPTZ DEFAULT now(),
+      PRIMARY KEY (guild_id, sha256)
+    );
+
+    -- one active (ended_at IS NULL) raid per guild; snapshot = @everyone SendMessages
+    -- state per locked channel, so unlocking restores exactly what was there
+    CREATE TABLE IF NOT EXISTS raids (
+      id BIGSERIAL PRIMARY KEY,
+      guild_id TEXT NOT NULL,
+      started_at TIMESTAMPTZ DEFAULT now(),
+      last_join_at TIMESTAMPTZ DEFAULT now(),
+      snapshot JSONB NOT NULL DEFAULT '[]'::jsonb,
+      ended_at TIMESTAMPTZ,
+      ended_by TEXT,
+      review_message_id TEXT
+    );
+    CREATE UNIQUE INDEX IF NOT EXISTS raids_active_idx ON raids (guild_id) WHERE ended_at IS NULL;
+
+    CREATE TABLE IF NOT EXISTS raid_joiners (
+      raid_id BIGINT NOT NULL,
+      user_id TEXT NOT NULL,
+      username TEXT,
+      account_created_at TIMESTAMPTZ,
+      default_avatar BOOLEAN NOT NULL DEFAULT false,
+      joined_at TIMESTAMPTZ DEFAULT now(),
+      review_action TEXT,
+      PRIMARY KEY (raid_id, user_id)
+    );
+
+    -- one row per message the community voted down; voters = [{ id, weight }]
+    CREATE TABLE IF NOT EXISTS vote_actions (
+      id BIGSERIAL PRIMARY KEY,
+      guild_id TEXT NOT NULL,
+      channel_id TEXT,
+      message_id TEXT NOT NULL UNIQUE,
+      author_id TEXT NOT NULL,
+      score INT NOT NULL,
+      voters JSONB NOT NULL,
+      dry_run BOOLEAN NOT NULL DEFAULT false,
+      overturned BOOLEAN NOT NULL DEFAULT false,
+      overturned_by TEXT,
+      overturned_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ DEFAULT now()
+    );
+
+    -- channels the bot slowed down; original_rate is what gets restored once it cools off
+    CREATE TABLE IF NOT EXISTS channel_slowmodes (
+      channel_id TEXT PRIMARY KEY,
+      guild_id TEXT NOT NULL,
+      original_rate INT NOT NULL,
+      applied_rate INT NOT NULL,
+      started_at TIMESTAMPTZ DEFAULT now(),
+      last_heat_at TIMESTAMPTZ DEFAULT now()
+    );
+
+    -- kind: tempban | shadowban | role (a role taken away until expires_at)
+    -- end_status: expired | cancelled | superseded | failed
+    CREATE TABLE IF NOT EXISTS timed_actions (
+      id SERIAL PRIMARY KEY,
+      guild_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      role_id TEXT,
+      reason TEXT,
+      created_by TEXT,
+      case_number INT,
+      created_at TIMESTAMPTZ DEFAULT now(),
+      expires_at TIMESTAMPTZ NOT NULL,
+      ended_at TIMESTAMPTZ,
+      end_status TEXT,
+      ended_by TEXT
+    );
+    CREATE INDEX IF NOT EXISTS timed_actions_active_idx ON timed_actions (expires_at) WHERE ended_at IS NULL;
+
+    -- status: pending | passed | failed | timed_out | left; a rejoin starts a fresh row
+    CREATE TABLE IF NOT EXISTS verifications (
+      guild_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      raid_mode BOOLEAN NOT NULL DEFAULT false,
+      correct INT NOT NULL DEFAULT 0,
+      wrong INT NOT NULL DEFAULT 0,
+      challenge JSONB,
+      deadline TIMESTAMPTZ NOT NULL,
+      started_at TIMESTAMPTZ DEFAULT now(),
+      finished_at TIMESTAMPTZ,
+      PRIMARY KEY (guild_id, user_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS classification_cache (
+      content_hash TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      backend TEXT NOT NULL,
+      result JSONB NOT NULL,
+      hits INT NOT NULL DEFAULT 0,
+      created_at TIMESTAMPTZ DEFAULT now(),
+      PRIMARY KEY (content_hash, kind)
+    );
+  `);
+}
+
+// ---------- strike ladder ----------
+// One row per (guild, user). Decay is evaluated against last_strike_at, so a
+// strike older than decayMs restarts the ladder at 1 instead of adding to it.
+// dryRun selects the rehearsal ladder used while a guild is in dry-run mode.
+function strikesTable(dryRun) {
+  return dryRun ? 'moderation_dry_run_strikes' : 'moderation_strikes';
+}
+
+// Throws on a DB error: a strike that didn't land must not read as a count of 0.
+export async function addStrike({ guildId, userId, decayMs, dryRun = false }) {
+  const table = strikesTable(dryRun);
+  const { rows } = await pool.query(
+    `INSERT INTO ${table} AS s (guild_id, user_id, strike_count, last_strike_at)
+     VALUES ($1, $2, 1, now())
+     ON CONFLICT (guild_id, user_id)
+     DO UPDATE SET
+       strike_count = CASE
+         WHEN s.last_strike_at IS NULL
+           OR s.last_strike_at < now() - ($3 || ' milliseconds')::interval
+         THEN 1
+         ELSE s.strike_count + 1
+       END,
+       last_strike_at = now()
+     RETURNING strike_count, last_strike_at`,
+    [guildId, userId, String(decayMs)]
+  );
+  return { count: rows[0].strike_count, lastStrikeAt: rows[0].last_strike_at };
+}
+
+export async function getStrikeState({ guildId, userId, decayMs, dryRun = false }) {
+  const empty = { count: 0, decayed: false, lastStrikeAt: null, timeoutUntil: null, lastToneReplyAt: null };
+  try {
+    const { rows } = await pool.query(
+      `SELECT strike_count, last_strike_at, timeout_until, last_tone_reply_at,
+              (last_strike_at IS NULL OR last_strike_at < now() - ($3 || ' milliseconds')::interval) AS expired
+       FROM ${strikesTable(dryRun)}
+       WHERE guild_id = $1 AND user_id = $2`,
+      [guildId, userId, String(decayMs)]
+    );
+    if (rows.length === 0) return empty;
+
+    const r = rows[0];
+    return {
+      count: r.expired ? 0 : r.strike_count,
+      decayed: r.expired && r.strike_count > 0,
+      lastStrikeAt: r.last_strike_at,
+      timeoutUntil: r.timeout_until,
+      lastToneReplyAt: r.last_tone_reply_at,
+    };
+  } catch (error) {
+    console.error('Failed to get strike state:', error);
+    return empty;
+  }
+}
+
+export async function setStrikeTimeout({ guildId, userId, until, dryRun = false }) {
+  try {
+    await pool.query(
+      `INSERT INTO ${strikesTable(dryRun)} (guild_id, user_id, timeout_until)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (guild_id, user_id)
+       DO UPDATE SET timeout_until = $3`,
+      [guildId, userId, until]
+    );
+  } catch (error) {
+    console.error('Failed to set strike timeout:', error);
+  }
+}
+
+export async function recordToneReply({ guildId, userId, dryRun = false }) {
+  try {
+    await pool.query(
+      `INSERT INTO ${strikesTable(dryRun)} (guild_id, user_id, last_tone_reply_at)
+       VALUES ($1, $2, now())
+       ON CONFLICT (guild_id, user_id)
+       DO UPDATE SET last_tone_reply_at = now()`,
+      [guildId, userId]
+    );
+  } catch (error) {
+    console.error('Failed to record tone reply:', error);
+  }
+}
+
+export async function clearStrikes({ guildId, userId }) {
+  await pool.query(
+    'DELETE FROM moderation_strikes WHERE guild_id = $1 AND user_id = $2',
+    [guildId, userId]
+  );
+}
+
+// ---------- shadowbans ----------
+export async function addShadowban({ guildId, userId, createdBy = null }) {
+  await pool.query(
+    `INSERT INTO shadowbans (guild_id, user_id, created_by)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (guild_id, user_id) DO NOTHING`,
+    [guildId, userId, createdBy]
+  );
+}
+
+export async function removeShadowban({ guildId, userId }) {
+  await pool.query(
+    'DELETE FROM shadowbans WHERE guild_id = $1 AND user_id = $2',
+    [guildId, userId]
+  );
+}
+
+export async function isShadowbanned({ guildId, userId }) {
+  try {
+    const { rows } = await pool.query(
+      'SELECT 1 FROM shadowbans WHERE guild_id = $1 AND user_id = $2',
+      [guildId, userId]
+    );
+    return rows.length > 0;
+  } catch (error) {
+    console.error('Failed to check shadowban:', error);
+    return false;
+  }
+}
+
+// { shadowbanned, timed }: timed when a timed_actions row will lift it. For /shadowban, so
+// unlike isShadowbanned it throws on a DB error instead of guessing.
+export async function getShadowbanState({ guildId, userId }) {
+  const { rows } = await pool.query(
+    `SELECT EXISTS (SELECT 1 FROM shadowbans WHERE guild_id = $1 AND user_id = $2) AS shadowbanned,
+            EXISTS (SELECT 1 FROM timed_actions
+                    WHERE guild_id = $1 AND user_id = $2 AND kind = 'shadowban' AND ended_at IS NULL) AS timed`,
+    [guildId, userId]
+  );
+  return rows[0];
+}
+
+// ---------- guild settings ----------
+export async function setModerationEnabled(guildId, enabled) {
+  await pool.query(
+    `INSERT INTO guild_settings (guild_id, moderation_enabled, updated_at)
+     VALUES ($1, $2, now())
+     ON CONFLICT (guild_id)
+     DO UPDATE SET moderation_enabled = $2, updated_at = now()`,
+    [guildId, enabled]
+  );
+}
+
+export async function isModerationEnabled(guildId) {
+  try {
+    const { rows } = await pool.query(
+      'SELECT moderation_enabled FROM guild_settings WHERE guild_id = $1',
+      [guildId]
+    );
+    return rows.length === 0 ? true : rows[0].moderation_enabled;
+  } catch (error) {
+    console.error('Failed to read guild settings:', error);
+    return true;
+  }
+}
+
+// Dry-run guilds run the full pipeline but only log what they would have done.
+export async function setDryRun(guildId, enabled) {
+  await pool.query(
+    `INSERT INTO guild_settings (guild_id, dry_run, updated_at)
+     VALUES ($1, $2, now())
+     ON CONFLICT (guild_id)
+     DO UPDATE SET dry_run = $2, updated_at = now()`,
+    [guildId, enabled]
+  );
+}
+
+export async function isDryRun(guildId) {
+  try {
+    const { rows } = await pool.query(
+      'SELECT dry_run FROM guild_settings WHERE guild_id = $1',
+      [guildId]
+    );
+    return rows[0]?.dry_run || false;
+  } catch (error) {
+    console.error('Failed to read dry-run flag:', error);
+    return false;
+  }
+}
+
+// Per-guild policy overrides; only keys that differ from the bot defaults are stored.
+// null when the read failed, so callers can tell "no overrides" from "couldn't look"
+export async function getGuildPolicy(guildId) {
+  try {
+    const { rows } = await pool.query(
+      'SELECT policy FROM guild_settings WHERE guild_id = $1',
+      [guildId]
+    );
+    return rows[0]?.policy || {};
+  } catch (error) {
+    console.error('Failed to read guild policy:', error);
+    return null;
+  }
+}
+
+export async function setGuildPolicyValue(guildId, key, value) {
+  await pool.query(
+    `INSERT INTO guild_settings (guild_id, policy, updated_at)
+     VALUES ($1, jsonb_build_object($2::text, $3::jsonb), now())
+     ON CONFLICT (guild_id)
+     DO UPDATE SET policy = guild_settings.policy || jsonb_build_object($2::text, $3::jsonb),
+                   updated_at = now()`,
+    [guildId, key, JSON.stringify(value)]
+  );
+}
+
+// Drops one override (or all of them when key is omitted) so the default applies again.
+export async function resetGuildPolicy(guildId, key = null) {
+  await pool.query(
+    `UPDATE guild_settings
+     SET policy = CASE WHEN $2::text IS NULL THEN '{}'::jsonb ELSE policy - $2::text END,
+         updated_at = now()
+     WHERE guild_id = $1`,
+    [guildId, key]
+  );
+}
+
+// Roles whose members may use moderator-tier slash commands without holding the permission.
+export async function getModRoles(guildId) {
+  try {
+    const { rows } = await pool.query(
+      'SELECT mod_role_ids FROM guild_settings WHERE guild_id = $1',
+      [guildId]
+    );
+    return rows[0]?.mod_role_ids || [];
+  } catch (error) {
+    console.error('Failed to read mod roles:', error);
+    return [];
+  }
+}
+
+export async function addModRole(guildId, roleId) {
+  await pool.query(
+    `INSERT INTO guild_settings (guild_id, mod_role_ids, updated_at)
+     VALUES ($1, ARRAY[$2::text], now())
+     ON CONFLICT (guild_id)
+     DO UPDATE SET mod_role_ids = CASE
+                     WHEN $2::text = ANY(guild_settings.mod_role_ids) THEN guild_settings.mod_role_ids
+                     ELSE array_append(guild_settings.mod_role_ids, $2::text)
+                   END,
+                   updated_at = now()`,
+    [guildId, roleId]
+  );
+}
+
+export async function removeModRole(guildId, roleId) {
+  await pool.query(
+    `UPDATE guild_settings
+     SET mod_role_ids = array_remove(mod_role_ids, $2::text), updated_at = now()
+     WHERE guild_id = $1`,
+    [guildId, roleId]
+  );
+}
+
+// ---------- heat slowmode ----------
+// Returns null if the channel is already slowed.
+export async function startSlowmode({ channelId, guildId, originalRate, appliedRate }) {
+  const { rows } = await pool.query(
+    `INSERT INTO channel_slowmodes (channel_id, guild_id, original_rate, applied_rate)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (channel_id) DO NOTHING
+     RETURNING *`,
+    [channelId, guildId, originalRate, appliedRate]
+  );
+  return rows[0] || null;
+}
+
+export async function getActiveSlowmodes() {
+  try {
+    const { rows } = await pool.query('SELECT * FROM channel_slowmodes');
+    return rows;
+  } catch (error) {
+    console.error('Failed to read slowmodes:', error);
+    return [];
+  }
+}
+
+export async function touchSlowmode(channelId) {
+  await pool.query('UPDATE channel_slowmodes SET last_heat_at = now() WHERE channel_id = $1', [channelId]);
+}
+
+// Returns the row it removed, or null if another sweep got there first.
+export async function endSlowmode(channelId) {
+  const { rows } = await pool.query('DELETE FROM channel_slowmodes WHERE channel_id = $1 RETURNING *', [channelId]);
+  return rows[0] || null;
+}
+
+// ---------- timed actions ----------
+// A new timed action replaces any active one of the same kind (and role) for that member.
+export async function addTimedAction({ guildId, userId, kind, roleId = null, reason = null, createdBy = null, caseNumber = null, expiresAt }) {
+  await pool.query(
+    `UPDATE timed_actions SET ended_at = now(), end_status = 'superseded'
+     WHERE guild_id = $1 AND user_id = $2 AND kind = $3 AND role_id IS NOT DISTINCT FROM $4 AND ended_at IS NULL`,
+    [guildId, userId, kind, roleId]
+  );
+  const { rows } = await pool.query(
+    `INSERT INTO timed_actions (guild_id, user_id, kind, role_id, reason, created_by, case_number, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [guildId, userId, kind, roleId, reason, createdBy, caseNumber, expiresAt]
+  );
+  return rows[0];
+}
+
+export async function getTimedAction(id) {
+  const { rows } = await pool.query('SELECT * FROM timed_actions WHERE id = $1', [id]);
+  return rows[0] || null;
+}
+
+export async function listTimedActions({ guildId, userId = null }) {
+  try {
+    const { rows } = await pool.query(
+      `SELECT * FROM timed_actions
+       WHERE guild_id = $1 AND ended_at IS NULL AND ($2::text IS NULL OR user_id = $2)
+       ORDER BY expires_at`,
+      [guildId, userId]
+    );
+    return rows;
+  } catch (error) {
+    console.error('Failed to list timed actions:', error);
+    return [];
+  }
+}
+
+// Everything past its expiry, including whatever came due while the bot was offline.
+export async function getExpiredTimedActions() {
+  try {
+    const { rows } = await pool.query(
+      'SELECT * FROM timed_actions WHERE ended_at IS NULL AND expires_at <= now() ORDER BY expires_at'
+    );
+    return rows;
+  } catch (error) {
+    console.error('Failed to read expired timed actions:', error);
+    return [];
+  }
+}
+
+// Claims an active action; returns null if it already ended, so it is only reversed once.
+export async function endTimedAction({ id, status, endedBy = null }) {
+  const { rows } = await pool.query(
+    `UPDATE timed_actions SET ended_at = now(), end_status = $2, ended_by = $3
+     WHERE id = $1 AND ended_at IS NULL
+     RETURNING *`,
+    [id, status, endedBy]
+  );
+  return rows[0] || null;
+}
+
+// The action was claimed but Discord refused to undo it; officers have to step in.
+export async function markTimedActionFailed(id) {
+  await pool.query(`UPDATE timed_actions SET end_status = 'failed' WHERE id = $1`, [id]);
+}
+
+// For manual reversals (/unshadowban, approved appeals) that make the timer moot.
+export async function endTimedActionsFor({ guildId, userId, kind, status = 'cancelled', endedBy = null }) {
+  await pool.query(
+    `UPDATE timed_actions SET ended_at = now(), end_status = $4, ended_by = $5
+     WHERE guild_id = $1 AND user_id = $2 AND kind = $3 AND ended_at IS NULL`,
+    [guildId, userId, kind, status, endedBy]
+  );
+}
+
+// ---------- verification gate ----------
+export async function getVerificationSettings(guildId) {
+  try {
+    const { rows } = await pool.query(
+      'SELECT verify_enabled, quarantine_role_id, verify_channel_id FROM guild_settings WHERE guild_id = $1',
+      [guildId]
+    );
+    const r = rows[0];
+    return { enabled: r?.verify_enabled || false, roleId: r?.quarantine_role_id || null, channelId: r?.verify_channel_id || null };
+  } catch (error) {
+    console.error('Failed to read verification settings:', error);
+    return { enabled: false, roleId: null, channelId: null };
+  }
+}
+
+// Only the fields passed are changed.
+export async function setVerificationSettings(guildId, { enabled = null, roleId = null, channelId = null }) {
+  await pool.query(
+    `INSERT INTO guild_settings (guild_id, verify_enabled, quarantine_role_id, verify_channel_id, updated_at)
+     VALUES ($1, COALESCE($2, false), $3, $4, now())
+     ON CONFLICT (guild_id)
+     DO UPDATE SET verify_enabled = COALESCE($2, guild_settings.verify_enabled),
+                   quarantine_role_id = COALESCE($3, guild_settings.quarantine_role_id),
+                   verify_channel_id = COALESCE($4, guild_settings.verify_channel_id),
+                   updated_at = now()`,
+    [guildId, enabled, roleId, channelId]
+  );
+}
+
+export async function startVerification({ guildId, userId, deadline, raidMode }) {
+  await pool.query(
+    `INSERT INTO verifications (guild_id, user_id, raid_mode, deadline)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (guild_id, user_id)
+     DO UPDATE SET status = 'pending', raid_mode = $3, deadline = $4, correct = 0, wrong = 0,
+                   challenge = NULL, started_at = now(), finished_at = NULL`,
+    [guildId, userId, raidMode, deadline]
+  );
+}
+
+export async function getVerification(guildId, userId) {
+  const { rows } = await pool.query(
+    'SELECT * FROM verifications WHERE guild_id = $1 AND user_id = $2',
+    [guildId, userId]
+  );
+  return rows[0] || null;
+}
+
+export async function updateVerification({ guildId, userId, correct, wrong, challenge }) {
+  await pool.query(
+    `UPDATE verifications SET correct = $3, wrong = $4, challenge = $5
+     WHERE guild_id = $1 AND user_id = $2 AND status = 'pending'`,
+    [guildId, userId, correct, wrong, challenge ? JSON.stringify(challenge) : null]
+  );
+}
+
+// Anti-raid mode switches everyone still pending to the raid rules and the shorter deadline.
+export async function tightenPendingVerifications(guildId, minutes) {
+  await pool.query(
+    `UPDATE verifications
+     SET raid_mode = true, deadline = LEAST(deadline, started_at + ($2 || ' minutes')::interval)
+     WHERE guild_id = $1 AND status = 'pending'`,
+    [guildId, String(minutes)]
+  );
+}
+
+// Only a pending verification can finish; returns null if it already had an outcome.
+export async function finishVerification({ guildId, userId, status }) {
+  const { rows } = await pool.query(
+    `UPDATE verifications SET status = $3, finished_at = now(), challenge = NULL
+     WHERE guild_id = $1 AND user_id = $2 AND status = 'pending'
+     RETURNING *`,
+    [guildId, userId, status]
+  );
+  return rows[0] || null;
+}
+
+export async function getExpiredVerifications() {
+  try {
+    const { rows } = await pool.query(
+      `SELECT * FROM verifications WHERE status = 'pending' AND deadline <= now()`
+    );
+    return rows;
+  } catch (error) {
+    console.error('Failed to read expired verifications:', error);
+    return [];
+  }
+}
+
+export async function getVerificationStats({ guildId, hours = 24 }) {
+  try {
+    const { rows } = await pool.query(
+      `SELECT status, COUNT(*)::int AS count
+       FROM verifications
+       WHERE guild_id = $1 AND (status = 'pending' OR finished_at >= now() - ($2 || ' hours')::interval)
+       GROUP BY status`,
+      [guildId, String(hours)]
+    );
+    return Object.fromEntries(rows.map(r => [r.status, r.count]));
+  } catch (error) {
+    console.error('Failed to read verification stats:', error);
+    return {};
+  }
+}
+
+// ---------- community votes ----------
+export async function getVoteWeights(guildId) {
+  try {
+    const { rows } = await pool.query(
+      'SELECT vote_weights FROM guild_settings WHERE guild_id = $1',
+      [guildId]
+    );
+    return rows[0]?.vote_weights || {};
+  } catch (error) {
+    console.error('Failed to read vote weights:', error);
+    return {};
+  }
+}
+
+// weight = null removes the role's weighting
+export async function setVoteWeight(guildId, roleId, weight) {
+  await pool.query(
+    `INSERT INTO guild_settings (guild_id, vote_weights, updated_at)
+     VALUES ($1, CASE WHEN $3::int IS NULL THEN '{}'::jsonb ELSE jsonb_build_object($2::text, $3::int) END, now())
+     ON CONFLICT (guild_id)
+     DO UPDATE SET vote_weights = CASE
+                     WHEN $3::int IS NULL THEN guild_settings.vote_weights - $2::text
+                     ELSE guild_settings.vote_weights || jsonb_build_object($2::text, $3::int)
+                   END,
+                   updated_at = now()`,
+    [guildId, roleId, weight]
+  );
+}
+
+// Claims the message for a vote action; returns null if it was already acted on.
+export async function recordVoteAction({ guildId, channelId, messageId, authorId, score, voters, dryRun = false }) {
+  const { rows } = await pool.query(
+    `INSERT INTO vote_actions (guild_id, channel_id, message_id, author_id, score, voters, dry_run)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (message_id) DO NOTHING
+     RETURNING *`,
+    [guildId, channelId, messageId, authorId, score, JSON.stringify(voters), dryRun]
+  );
+  return rows[0] || null;
+}
+
+export async function getVoteAction(messageId) {
+  const { rows } = await pool.query('SELECT * FROM vote_actions WHERE message_id = $1', [messageId]);
+  return rows[0] || null;
+}
+
+// Returns the vote row if this call overturned it (null if there was none or it already was).
+export async function markVoteOverturned({ messageId, overturnedBy }) {
+  const { rows } = await pool.query(
+    `UPDATE vote_actions SET overturned = true, overturned_by = $2, overturned_at = now()
+     WHERE message_id = $1 AND NOT overturned
+     RETURNING *`,
+    [messageId, overturnedBy]
+  );
+  return rows[0] || null;
+}
+
+// Per voter: real (non-dry-run) votes cast and how many were overturned in the window.
+export async function getVoterRecords({ guildId, days = 30 }) {
+  try {
+    const { rows } = await pool.query(
+      `SELECT v->>'id' AS voter_id,
+              COUNT(*)::int AS votes,
+              COUNT(*) FILTER (WHERE a.overturned)::int AS overturned
+       FROM vote_actions a, jsonb_array_elements(a.voters) v
+       WHERE a.guild_id = $1 AND NOT a.dry_run
+         AND a.created_at >= now() - ($2 || ' days')::interval
+       GROUP BY v->>'id'
+       ORDER BY overturned DESC, votes DESC`,
+      [guildId, String(days)]
+    );
+    return rows;
+  } catch (error) {
+    console.error('Failed to read voter records:', error);
+    return [];
+  }
+}
+
+// ---------- filter rules ----------
+// { custom, rules }: custom is false until the guild first edits its list.
+// null if the read failed (callers fall back to the defaults without caching that)
+export async function getFilterRules(guildId) {
+  try {
+    const { rows } = await pool.query(
+      `SELECT
+         COALESCE((SELECT filters_custom FROM guild_settings WHERE guild_id = $1), false) AS custom,
+         COALESCE((SELECT json_agg(r ORDER BY r.id) FROM (
+           SELECT id, type, pattern, severity, action FROM guild_filter_rules WHERE guild_id = $1
+         ) r), '[]'::json) AS rules`,
+      [guildId]
+    );
+    return { custom: rows[0].custom, rules: rows[0].rules };
+  } catch (error) {
+    console.error('Failed to read filter rules:', error);
+    return null;
+  }
+}
+
+// First edit of a guild's list: flips filters_custom and copies `seed` in, so the defaults
+// the guild was running on stay active and become editable. A no-op once customized.
+export async function customizeFilterRules(guildId, seed) {
+  const { rowCount } = await pool.query(
+    `INSERT INTO guild_settings (guild_id, filters_custom, updated_at)
+     VALUES ($1, true, now())
+     ON CONFLICT (guild_id)
+     DO UPDATE SET filters_custom = true, updated_at = now()
+     WHERE NOT guild_settings.filters_custom`,
+    [guildId]
+  );
+  if (!rowCount) return false;
+  for (const r of seed) {
+    await pool.query(
+      `INSERT INTO guild_filter_rules (guild_id, type, pattern, severity, action)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [guildId, r.type, r.pattern, r.severity, r.action]
+    );
+  }
+  return true;
+}
+
+export async function addFilterRule({ guildId, type, pattern, severity, action, addedBy }) {
+  const { rows } = await pool.query(
+    `INSERT INTO guild_filter_rules (guild_id, type, pattern, severity, action, added_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id, type, pattern, severity, action`,
+    [guildId, type, pattern, severity, action, addedBy]
+  );
+  return rows[0];
+}
+
+export async function removeFilterRule(guildId, id) {
+  const { rowCount } = await pool.query(
+    'DELETE FROM guild_filter_rules WHERE guild_id = $1 AND id = $2',
+    [guildId, id]
+  );
+  return rowCount > 0;
+}
+
+// ---------- channel profiles & trusted roles ----------
+// Shaped for resolveExemptions(): { profiles: channelId -> { disabled, overrides }, trusted: roleId -> checks }
+// null if the read failed (callers fall back to no profiles without caching that)
+export async function getModerationScopes(guildId) {
+  try {
+    const [profiles, trusted] = await Promise.all([
+      pool.query('SELECT channel_id, disabled_checks, overrides FROM channel_profiles WHERE guild_id = $1', [guildId]),
+      pool.query('SELECT role_id, checks FROM trusted_roles WHERE guild_id = $1', [guildId]),
+    ]);
+    return {
+      profiles: Object.fromEntries(profiles.rows.map(r => [r.channel_id, { disabled: r.disabled_checks, overrides: r.overrides }])),
+      trusted: Object.fromEntries(trusted.rows.map(r => [r.role_id, r.checks])),
+    };
+  } catch (error) {
+    console.error('Failed to read channel profiles:', error);
+    return null;
+  }
+}
+
+export async function setChannelCheck({ guildId, channelId, check, enabled, updatedBy }) {
+  await pool.query(
+    `INSERT INTO channel_profiles (guild_id, channel_id, disabled_checks, updated_by)
+     VALUES ($1, $2, CASE WHEN $4 THEN '{}'::text[] ELSE ARRAY[$3::text] END, $5)
+     ON CONFLICT (guild_id, channel_id)
+     DO UPDATE SET disabled_checks = CASE
+                     WHEN $4 THEN array_remove(channel_profiles.disabled_checks, $3::text)
+                     WHEN $3::text = ANY(channel_profiles.disabled_checks) THEN channel_profiles.disabled_checks
+                     ELSE array_append(channel_profiles.disabled_checks, $3::text)
+                   END,
+                   updated_by = $5, updated_at = now()`,
+    [guildId, channelId, check, enabled, updatedBy]
   );
 }
 
-export async function searchSimilar({ personaId, embedding, k = 5 }) {
+// value null drops the override, so the guild policy applies again
+export async function setChannelOverride({ guildId, channelId, key, value, updatedBy }) {
+  await pool.query(
+    `INSERT INTO channel_profiles (guild_id, channel_id, overrides, updated_by)
+     VALUES ($1, $2, CASE WHEN $4::jsonb IS NULL THEN '{}'::jsonb ELSE jsonb_build_object($3::text, $4::jsonb) END, $5)
+     ON CONFLICT (guild_id, channel_id)
+     DO UPDATE SET overrides = CASE
+                     WHEN $4::jsonb IS NULL THEN channel_profiles.overrides - $3::text
+                     ELSE channel_profiles.overrides || jsonb_build_object($3::text, $4::jsonb)
+                   END,
+                   updated_by = $5, updated_at = now()`,
+    [guildId, channelId, key, value === null ? null : JSON.stringify(value), updatedBy]
+  );
+}
+
+export async function clearChannelProfile(guildId, channelId) {
+  const { rowCount } = await pool.query(
+    'DELETE FROM channel_profiles WHERE guild_id = $1 AND channel_id = $2',
+    [guildId, channelId]
+  );
+  return rowCount > 0;
+}
+
+export async function setTrustedRole({ guildId, roleId, checks, addedBy }) {
+  await pool.query(
+    `INSERT INTO trusted_roles (guild_id, role_id, checks, added_by)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (guild_id, role_id)
+     DO UPDATE SET checks = $3, added_by = $4, created_at = now()`,
+    [guildId, roleId, checks, addedBy]
+  );
+}
+
+export async function removeTrustedRole(guildId, roleId) {
+  const { rowCount } = await pool.query(
+    'DELETE FROM trusted_roles WHERE guild_id = $1 AND role_id = $2',
+    [guildId, roleId]
+  );
+  return rowCount > 0;
+}
+
+// ---------- link rules ----------
+// A domain sits on at most one list; adding it to the other list moves it.
+// null if the read failed (callers fall back to empty lists without caching that)
+export async function getLinkRules(guildId) {
+  try {
+    const { rows } = await pool.query(
+      'SELECT domain, list FROM guild_link_rules WHERE guild_id = $1 ORDER BY domain',
+      [guildId]
+    );
+    return {
+      allow: rows.filter(r => r.list === 'allow').map(r => r.domain),
+      deny: rows.filter(r => r.list === 'deny').map(r => r.domain),
+    };
+  } catch (error) {
+    console.error('Failed to read link rules:', error);
+    return null;
+  }
+}
+
+export async function setLinkRule({ guildId, domain, list, addedBy }) {
+  await pool.query(
+    `INSERT INTO guild_link_rules (guild_id, domain, list, added_by)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (guild_id, domain)
+     DO UPDATE SET list = $3, added_by = $4, created_at = now()`,
+    [guildId, domain, list, addedBy]
+  );
+}
+
+export async function removeLinkRule(guildId, domain) {
+  const { rowCount } = await pool.query(
+    'DELETE FROM guild_link_rules WHERE guild_id = $1 AND domain = $2',
+    [guildId, domain]
+  );
+  return rowCount > 0;
+}
+
+// ---------- attachment rules ----------
+// null if the read failed (callers fall back to no rules without caching that)
+export async function getAttachmentRules(guildId) {
+  try {
+    const { rows } = await pool.query(
+      `SELECT
+         (SELECT attachment_types FROM guild_settings WHERE guild_id = $1) AS types,
+         ARRAY(SELECT sha256 FROM guild_file_hashes WHERE guild_id = $1) AS hashes`,
+      [guildId]
+    );
+    return { types: rows[0]?.types || [], hashes: rows[0]?.hashes || [] };
+  } catch (error) {
+    console.error('Failed to read attachment rules:', error);
+    return null;
+  }
+}
+
+export async function setAttachmentTypes(guildId, types) {
+  await pool.query(
+    `INSERT INTO guild_settings (guild_id, attachment_types, updated_at)
+     VALUES ($1, $2, now())
+     ON CONFLICT (guild_id)
+     DO UPDATE SET attachment_types = $2, updated_at = now()`,
+    [guildId, types]
+  );
+}
+
+export async function listBadFileHashes(guildId) {
+  try {
+    const { rows } = await pool.query(
+      'SELECT sha256, note, added_by, created_at FROM guild_file_hashes WHERE guild_id = $1 ORDER BY created_at DESC',
+      [guildId]
+    );
+    return rows;
+  } catch (error) {
+    console.error('Failed to list file hashes:', error);
+    return [];
+  }
+}
+
+export async function addBadFileHash({ guildId, hash, note, addedBy }) {
+  await pool.query(
+    `INSERT INTO guild_file_hashes (guild_id, sha256, note, added_by)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (guild_id, sha256) DO UPDATE SET note = $3, added_by = $4`,
+    [guildId, hash, note, addedBy]
+  );
+}
+
+export async function removeBadFileHash(guildId, hash) {
+  const { rowCount } = await pool.query(
+    'DELETE FROM guild_file_hashes WHERE guild_id = $1 AND sha256 = $2',
+    [guildId, hash]
+  );
+  return rowCount > 0;
+}
+
+// ---------- raids ----------
+// Returns null if the guild already has an active raid.
+export async function startRaid({ guildId, snapshot }) {
   const { rows } = await pool.query(
-    `SELECT id, text, 1 - (embedding <=> ($1::float4[]::vector)) AS cosine_similarity
-     FROM persona_embeddings
-     WHERE persona_id = $2
-     ORDER BY embedding <=> ($1::float4[]::vector)
-     LIMIT $3`,
-    [embedding, personaId, k]
+    `INSERT INTO raids (guild_id, snapshot) VALUES ($1, $2)
+     ON CONFLICT (guild_id) WHERE ended_at IS NULL DO NOTHING
+     RETURNING *`,
+    [guildId, JSON.stringify(snapshot)]
+  );
+  return rows[0] || null;
+}
+
+export async function getActiveRaid(guildId) {
+  try {
+    const { rows } = await pool.query(
+      'SELECT * FROM raids WHERE guild_id = $1 AND ended_at IS NULL',
+      [guildId]
+    );
+    return rows[0] || null;
+  } catch (error) {
+    console.error('Failed to read raid state:', error);
+    return null;
+  }
+}
+
+export async function getActiveRaids() {
+  try {
+    const { rows } = await pool.query('SELECT * FROM raids WHERE ended_at IS NULL');
+    return rows;
+  } catch (error) {
+    console.error('Failed to read active raids:', error);
+    return [];
+  }
+}
+
+export async function touchRaid(raidId) {
+  await pool.query('UPDATE raids SET last_join_at = now() WHERE id = $1', [raidId]);
+}
+
+// Only ends a raid that is still active; returns null if someone else already did.
+export async function finishRaid({ raidId, endedBy = null }) {
+  const { rows } = await pool.query(
+    `UPDATE raids SET ended_at = now(), ended_by = $2
+     WHERE id = $1 AND ended_at IS NULL
+     RETURNING *`,
+    [raidId, endedBy]
+  );
+  return rows[0] || null;
+}
+
+export async function getRaid(raidId) {
+  const { rows } = await pool.query('SELECT * FROM raids WHERE id = $1', [raidId]);
+  return rows[0] || null;
+}
+
+export async function setRaidReviewMessage(raidId, messageId) {
+  await pool.query('UPDATE raids SET review_message_id = $2 WHERE id = $1', [raidId, messageId]);
+}
+
+export async function addRaidJoiner({ raidId, userId, username, accountCreatedAt, defaultAvatar, joinedAt }) {
+  await pool.query(
+    `INSERT INTO raid_joiners (raid_id, user_id, username, account_created_at, default_avatar, joined_at)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (raid_id, user_id) DO NOTHING`,
+    [raidId, userId, username, accountCreatedAt, defaultAvatar, joinedAt]
+  );
+}
+
+export async function getRaidJoiners(raidId) {
+  const { rows } = await pool.query(
+    'SELECT * FROM raid_joiners WHERE raid_id = $1 ORDER BY joined_at',
+    [raidId]
   );
   return rows;
 }
 
-// ---------- user memory ----------
-export async function rememberUserQuirk(userId, note) {
+export async function setRaidJoinersReviewed(raidId, userIds, action) {
   await pool.query(
-    'INSERT INTO user_memory (user_id, note) VALUES ($1, $2)',
-    [userId, note]
+    'UPDATE raid_joiners SET review_action = $3 WHERE raid_id = $1 AND user_id = ANY($2::text[])',
+    [raidId, userIds, action]
   );
 }
 
-export async function getUserQuirks(userId, limit = 5) {
+// ---------- moderation cases ----------
+// Case numbers are per guild and come from guild_settings.case_counter, bumped in
+// the same statement that inserts the case so two actions never share a number.
+// actor_type: 'bot' | 'vote' | 'officer' (actor_id is the officer's user id).
+export async function createCase({ guildId, userId, action, actorType, actorId = null, reason = null, moderationLogId = null }) {
   const { rows } = await pool.query(
-    'SELECT note FROM user_memory WHERE user_id = $1 ORDER BY created_at DESC LIMIT $2',
-    [userId, limit]
+    `WITH n AS (
+       INSERT INTO guild_settings (guild_id, case_counter)
+       VALUES ($1, 1)
+       ON CONFLICT (guild_id)
+       DO UPDATE SET case_counter = guild_settings.case_counter + 1
+       RETURNING case_counter
+     )
+     INSERT INTO moderation_cases (guild_id, case_number, moderation_log_id, user_id, action, actor_type, actor_id, reason)
+     SELECT $1, n.case_counter, $2, $3, $4, $5, $6, $7 FROM n
+     RETURNING *`,
+    [guildId, moderationLogId, userId, action, actorType, actorId, reason]
   );
-  return rows.map(r => r.note);
+  return rows[0];
 }
 
-// ---------- moderation logging ----------
-export async function logModerationEvent({
-  guildId, channelId, userId, messageId, content,
-  harassment=false, hate=false, violence=false,
-  passive_aggr=false, condescending=false, provocation=false,
-  toxicity='none', action_taken='none'
-}) {
+// A deletion that came with a strike joins that strike's case instead of opening its own.
+export async function addDeletionToCase(guildId, caseNumber) {
   await pool.query(
-    `INSERT INTO moderation_log
-     (guild_id, channel_id, user_id, message_id, content,
-      harassment, hate, violence, passive_aggr, condescending, provocation, toxicity, action_taken)
-     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13)`,
-    [guildId, channelId, userId, messageId, content,
-     harassment, hate, violence, passive_aggr, condescending, provocation, toxicity, action_taken]
+    `UPDATE moderation_cases SET action = action || ' + delete'
+     WHERE guild_id = $1 AND case_number = $2 AND action NOT LIKE '%+ delete'`,
+    [guildId, caseNumber]
   );
 }
 
-// Recent incidents (any severity) in last N hours for a guild
-export async function getRecentIncidents({ guildId, hours = 24, limit = 20 }) {
+// The log row and case are written before the sanction runs (the appeal DM needs them);
+// when Discord then refuses it, both are rewritten to say so instead of claiming the action.
+export async function markActionFailed({ logId, guildId, caseNumber, error }) {
+  await pool.query(
+    `WITH log AS (
+       UPDATE moderation_log
+       SET action_taken = 'none', reason = concat_ws(' ', reason, '(' || action_taken || ' failed: ' || $4 || ')')
+       WHERE id = $1
+     )
+     UPDATE moderation_cases
+     SET action = action || ' (failed)', reason = concat_ws(' ', reason, '(failed: ' || $4 || ')')
+     WHERE guild_id = $2 AND case_number = $3`,
+    [logId, guildId, caseNumber, error]
+  );
+}
+
+export async function setCaseModLogMessage(guildId, caseNumber, messageId) {
+  await pool.query(
+    'UPDATE moderation_cases SET mod_log_message_id = $3 WHERE guild_id = $1 AND case_number = $2',
+    [guildId, caseNumber, messageId]
+  );
+}
+
+export async function getCase(guildId, caseNumber) {
   const { rows } = await pool.query(
-    `SELECT user_id, action_taken, passive_aggr, condescending, provocation, toxicity, content, created_at
-     FROM moderation_log
-     WHERE guild_id = $1 AND created_at >= now() - ($2 || ' hours')::interval
-     ORDER BY created_at DESC
+    `SELECT c.*, l.content, l.channel_id, l.appeal_status
+     FROM moderation_cases c
+     LEFT JOIN moderation_log l ON l.id = c.moderation_log_id
+     WHERE c.guild_id = $1 AND c.case_number = $2`,
+    [guildId, caseNumber]
+  );
+  return rows[0] || null;
+}
+
+export async function updateCaseReason({ guildId, caseNumber, reason, updatedBy }) {
+  const { rows } = await pool.query(
+    `UPDATE moderation_cases
+     SET reason = $3, updated_by = $4, updated_at = now()
+     WHERE guild_id = $1 AND case_number = $2
+     RETURNING *`,
+    [guildId, caseNumber, reason, updatedBy]
+  );
+  return rows[0] || null;
+}
+
+export async function getUserCases({ guildId, userId, limit = 10 }) {
+  const { rows } = await pool.query(
+    `SELECT case_number, action, actor_type, actor_id, reason, created_at
+     FROM moderation_cases
+     WHERE guild_id = $1 AND user_id = $2
+     ORDER BY case_number DESC
      LIMIT $3`,
-    [guildId, String(hours), limit]
+    [guildId, userId, limit]
   );
   return rows;
 }
 
-// Per-user summary window
-export async function getUserBehaviorSummary({ userId, hours = 168 }) {
+// ---------- officer notes & timeline ----------
+export async function addOfficerNote({ guildId, userId, authorId, note }) {
   const { rows } = await pool.query(
-    `SELECT
-        COUNT(*) AS total,
-        SUM(CASE WHEN passive_aggr THEN 1 ELSE 0 END) AS passive_aggr,
-        SUM(CASE WHEN condescending THEN 1 ELSE 0 END) AS condescending,
-        SUM(CASE WHEN provocation THEN 1 ELSE 0 END) AS provocation,
-        SUM(CASE WHEN action_taken IN ('warn','timeout','kick','ban','delete') THEN 1 ELSE 0 END) AS actions
-     FROM moderation_log
-     WHERE user_id = $1 AND created_at >= now() - ($2 || ' hours')::interval`,
-    [userId, String(hours)]
+    `INSERT INTO officer_notes (guild_id, user_id, author_id, note)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [guildId, userId, authorId, note]
   );
   return rows[0];
 }
 
-// Top users by incidents
-export async function getTopSuspects({ guildId, hours = 24, limit = 5 }) {
+export async function removeOfficerNote(guildId, id) {
   const { rows } = await pool.query(
-    `SELECT user_id,
-            COUNT(*) AS incidents,
-            SUM(CASE WHEN passive_aggr OR condescending OR provocation THEN 1 ELSE 0 END) AS tone_flags,
-            SUM(CASE WHEN action_taken IN ('warn','timeout','kick','ban','delete') THEN 1 ELSE 0 END) AS actions
-     FROM moderation_log
-     WHERE guild_id = $1 AND created_at >= now() - ($2 || ' hours')::interval
-     GROUP BY user_id
-     ORDER BY actions DESC, tone_flags DESC, incidents DESC
+    'DELETE FROM officer_notes WHERE guild_id = $1 AND id = $2 RETURNING *',
+    [guildId, id]
+  );
+  return rows[0] || null;
+}
+
+// Everything known about one member, newest first, as uniform rows:
+//   { kind, ref, at, actor_type, actor_id, action, detail, content, extra }
+// kind: incident (flagged or actioned moderation_log rows, with their case) | case (officer
+// actions with no message behind them) | appeal | appeal_decision | note | memory.
+// Profile memories are global and rewritten on every analysis, so only changes are kept.
+export async function getUserTimeline({ guildId, userId, limit = 500 }) {
+  const { rows } = await pool.query(
+    `SELECT * FROM (
+       SELECT 'incident' AS kind, l.id::text AS ref, l.created_at AS at,
+              COALESCE(c.actor_type, 'bot') AS actor_type, c.actor_id, l.action_taken AS action,
+              l.reason AS detail, l.content,
+              jsonb_build_object(
+                'case_number', c.case_number, 'channel_id', l.channel_id, 'dry_run', l.dry_run,
+                'toxicity', l.toxicity, 'appeal_status', l.appeal_status,
+                'flags', array_remove(ARRAY[
+                  CASE WHEN l.harassment THEN 'harassment' END, CASE WHEN l.hate THEN 'hate' END,
+                  CASE WHEN l.violence THEN 'violence' END, CASE WHEN l.passive_aggr THEN 'passive-aggr' END,
+                  CASE WHEN l.condescending THEN 'condescending' END, CASE WHEN l.provocation THEN 'provocation' END,
+                  CASE WHEN l.unsafe_link THEN 'link' END, CASE WHEN l.mention_abuse IS NOT NULL THEN 'mentions' END,
+                  CASE WHEN l.filter_match IS NOT NULL THEN 'filter' END
+                ], NULL)
+              ) AS extra
+       FROM moderation_log l
+       LEFT JOIN moderation_cases c ON c.guild_id = l.guild_id AND c.moderation_log_id = l.id
+       WHERE l.guild_id = $1 AND l.user_id = $2 AND ${FLAGGED_LOG_ROW}
+       UNION ALL
+       SELECT 'case', c.case_number::text, c.created_at, c.actor_type, c.actor_id, c.action,
+              c.reason, NULL, jsonb_build_object('case_number', c.case_number)
+       FROM moderation_cases c
+       WHERE c.guild_id = $1 AND c.user_id = $2 AND c.moderation_log_id IS NULL
+       UNION ALL
+       SELECT 'appeal', a.id::text, a.created_at, 'member', a.user_id, a.action,
+              a.appeal_text, NULL, jsonb_build_object('status', a.status)
+       FROM moderation_appeals a
+       WHERE a.guild_id = $1 AND a.user_id = $2
+       UNION ALL
+       SELECT 'appeal_decision', a.id::text, a.decided_at, 'officer', a.decided_by, a.status,
+              NULL, NULL, jsonb_build_object('appealed_action', a.action)
+       FROM moderation_appeals a
+       WHERE a.guild_id = $1 AND a.user_id = $2 AND a.decided_at IS NOT NULL
+       UNION ALL
+       SELECT 'note', n.id::text, n.created_at, 'officer', n.author_id, NULL,
+              n.note, NULL, '{}'::jsonb
+       FROM officer_notes n
+       WHERE n.guild_id = $1 AND n.user_id = $2
+       UNION ALL
+       SELECT 'memory', NULL, m.created_at, 'bot', NULL, NULL,
+              m.note, NULL, '{}'::jsonb
+       FROM (
+         SELECT note, created_at, LAG(note) OVER (ORDER BY created_at) AS prev
+         FROM user_memory
+         WHERE user_id = $2
+       ) m
+       WHERE m.prev IS DISTINCT FROM m.note
+     ) t
+     ORDER BY at DESC
      LIMIT $3`,
-    [guildId, String(hours), limit]
+    [guildId, userId, limit]
   );
   return rows;
 }
 
+// ---------- weekly report ----------
+// Claims a report slot for a guild just before it's posted: { previous } (the slot it replaces,
+// or null), or null if that slot (or a later one) was already claimed.
+export async function claimWeeklyReport(guildId, slot) {
+  const { rows } = await pool.query(
+    `WITH old AS (SELECT weekly_report_at FROM guild_settings WHERE guild_id = $1)
+     INSERT INTO guild_settings (guild_id, weekly_report_at)
+     VALUES ($1, $2)
+     ON CONFLICT (guild_id)
+     DO UPDATE SET weekly_report_at = $2
+     WHERE guild_settings.weekly_report_at IS NULL OR guild_settings.weekly_report_at < $2
+     RETURNING (SELECT weekly_report_at FROM old) AS previous`,
+    [guildId, slot]
+  );
+  return rows[0] || null;
+}
+
+// Hands a claimed slot back when its report couldn't be posted, so the next sweep retries it.
+export async function releaseWeeklyReport(guildId, slot, previous) {
+  await pool.query(
+    'UPDATE guild_settings SET weekly_report_at = $3 WHERE guild_id = $1 AND weekly_report_at = $2',
+    [guildId, slot, previous]
+  );
+}
+
+// Numbers for one report window [from, to). A message counts once per category even when
+// it was logged twice (strike + delete). The report describes live moderation: dry-run rows
+// are left out of every category, channel and offender and only show up as `dry_run` (flagged
+// messages). Classifier calls count every row, dry run or not, since those calls were real;
+// any answered by something other than `primaryBackend` (the first configured backend) is a fallback.
+export async function getModerationReport({ guildId, from, to, primaryBackend }) {
+  const inWindow = 'guild_id = $1 AND created_at >= $2 AND created_at < $3';
+  const flaggedMessages = (where) => `COUNT(DISTINCT message_id) FILTER (WHERE ${where})::int`;
+  const liveMessages = (where) => flaggedMessages(`(${where}) AND NOT dry_run`);
+  try {
+    const [counts, channels, offenders, votes] = await Promise.all([
+      pool.query(
+        `SELECT
+           ${liveMessages('harassment')} AS harassment,
+           ${liveMessages('hate')} AS hate,
+           ${liveMessages('violence')} AS violence,
+           ${liveMessages('passive_aggr')} AS passive_aggr,
+           ${liveMessages('condescending')} AS condescending,
+           ${liveMessages('provocation')} AS provocation,
+           ${liveMessages(`toxicity IN ('medium', 'high')`)} AS hostile,
+           ${liveMessages(`reason = 'Spam (too many messages)'`)} AS spam_flood,
+           ${liveMessages(`reason LIKE 'Spam (%copypasta%'`)} AS spam_copypasta,
+           ${liveMessages(`reason LIKE 'Spam (same message in %'`)} AS spam_cross_channel,
+           ${liveMessages(`reason = 'Spam (emoji flood)'`)} AS spam_emoji,
+           ${liveMessages('mention_abuse IS NOT NULL')} AS spam_mentions,
+           ${liveMessages('unsafe_link')} AS unsafe_links,
+           ${liveMessages('filter_match IS NOT NULL')} AS filter_hits,
+           ${liveMessages(`action_taken <> 'none'`)} AS actioned,
+           ${flaggedMessages(`dry_run AND ${FLAGGED_LOG_ROW}`)} AS dry_run,
+           ${flaggedMessages('moderation_backend IS NOT NULL')} AS moderation_calls,
+           ${flaggedMessages('moderation_backend <> $4')} AS moderation_fallbacks,
+           ${flaggedMessages('tone_backend IS NOT NULL')} AS tone_calls,
+           ${flaggedMessages('tone_backend <> $4')} AS tone_fallbacks
+         FROM moderation_log
+         WHERE ${inWindow}`,
+        [guildId, from, to, primaryBackend]
+      ),
+      pool.query(
+        `SELECT channel_id,
+                COUNT(DISTINCT message_id)::int AS messages,
+                ${liveMessages(FLAGGED_LOG_ROW)} AS incidents
+         FROM moderation_log
+         WHERE ${inWindow}
+         GROUP BY channel_id
+         HAVING COUNT(*) FILTER (WHERE ${FLAGGED_LOG_ROW} AND NOT dry_run) > 0
+         ORDER BY incidents DESC, messages DESC
+         LIMIT 5`,
+        [guildId, from, to]
+      ),
+      pool.query(
+        `SELECT user_id,
+                ${flaggedMessages(`action_taken <> 'none'`)} AS actions,
+                COUNT(DISTINCT message_id)::int AS incidents
+         FROM moderation_log
+         WHERE ${inWindow} AND ${FLAGGED_LOG_ROW} AND NOT dry_run
+         GROUP BY user_id
+         HAVING COUNT(DISTINCT message_id) FILTER (WHERE action_taken <> 'none') >= 2
+         ORDER BY actions DESC, incidents DESC
+         LIMIT 5`,
+        [guildId, from, to]
+      ),
+      pool.query(
+        `SELECT COUNT(*) FILTER (WHERE NOT dry_run)::int AS deletions,
+                COUNT(*) FILTER (WHERE overturned)::int AS overturned,
+                COUNT(*) FILTER (WHERE dry_run)::int AS dry_run
+         FROM vote_actions
+         WHERE ${inWindow}`,
+        [guildId, from, to]
+      ),
+    ]);
+    return { counts: counts.rows[0], channels: channels.rows, offenders: offenders.rows, votes: votes.rows[0] };
+  } catch (error) {
+    console.error('Failed to build moderation report:', error);
+    return null;
+  }
+}
+
+// ---------- appeals ----------
+// One appeal per moderation_log row; the row's appeal_status mirrors the appeal.
+// Returns null when that action was already appealed.
+export async function createAppeal({ moderationLogId, guildId, userId, action, appealText }) {
+  const { rows } = await pool.query(
+    `WITH ins AS (
+       INSERT INTO moderation_appeals (moderation_log_id, guild_id, user_id, action, appeal_text)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (moderation_log_id) DO NOTHING
+       RETURNING *
+     ), upd AS (
+       UPDATE moderation_log SET appeal_status = 'pending'
+       WHERE id = $1 AND EXISTS (SELECT 1 FROM ins)
+     )
+     SELECT * FROM ins`,
+    [moderationLogId, guildId, userId, action, appealText]
+  );
+  return rows[0] || null;
+}
+
+export async function getAppeal(id) {
+  const { rows } = await pool.query('SELECT * FROM moderation_appeals WHERE id = $1', [id]);
+  return rows[0] || null;
+}
+
+export async function setAppealMessage(appealId, messageId) {
+  await pool.query(
+    'UPDATE moderation_appeals SET mod_log_message_id = $2 WHERE id = $1',
+    [appealId, messageId]
+  );
+}
+
+// Only a pending appeal can be decided; returns null if someone else got there first.
+export async function decideAppeal({ appealId, status, decidedBy }) {
+  const { rows } = await pool.query(
+    `WITH upd AS (
+       UPDATE moderation_appeals
+       SET status = $2, decided_by = $3, decided_at = now()
+       WHERE id = $1 AND status = 'pending'
+       RETURNING *
+     ), log AS (
+       UPDATE moderation_log SET appeal_status = $2
+       WHERE id = (SELECT moderation_log_id FROM upd)
+     )
+     SELECT * FROM upd`,
+    [appealId, status, decidedBy]
+  );
+  return rows[0] || null;
+}
+
+// ---------- classification cache ----------
+// Not keyed by guild: the verdict depends only on the text. A cache miss or error
+// just means the classifier runs, so reads and writes never throw.
+export async function getCachedClassification(hash, kind) {
+  try {
+    const { rows } = await pool.query(
+      `UPDATE classification_cache SET hits = hits + 1
+       WHERE content_hash = $1 AND kind = $2
+         AND created_at > NOW() - ($3 || ' hours')::interval
+       RETURNING backend, result`,
+      [hash, kind, String(CLASSIFICATION_CACHE_TTL_HOURS)]
+    );
+    return rows[0] || null;
+  } catch (error) {
+    console.error('Failed to read classification cache:', error);
+    return null;
+  }
+}
+
+export async function setCachedClassification(hash, kind, backend, result) {
+  try {
+    await pool.query(
+      `INSERT INTO classification_cache (content_hash, kind, backend, result)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (content_hash, kind)
+       DO UPDATE SET backend = EXCLUDED.backend, result = EXCLUDED.result, hits = 0, created_at = now()`,
+      [hash, kind, backend, result]
+    );
+  } catch (error) {
+    console.error('Failed to write classification cache:', error);
+  }
+}
+
+export async function getClassificationCacheStats() {
+  try {
+    const { rows } = await pool.query(
+      `SELECT kind,
+              COUNT(*) FILTER (WHERE created_at > NOW() - ($1 || ' hours')::interval)::int AS live,
+              COUNT(*)::int AS total,
+              COALESCE(SUM(hits), 0)::int AS hits
+       FROM classification_cache
+       GROUP BY kind
+       ORDER BY kind`,
+      [String(CLASSIFICATION_CACHE_TTL_HOURS)]
+    );
+    return rows;
+  } catch (error) {
+    console.error('Failed to get classification cache stats:', error);
+    return [];
+  }
+}
+
 // ---------- Conversation History Functions ----------
 export async function saveConversationMessage({ channelId, guildId, userId, role, content }) {
   try {
@@ -116,6 +1661,65 @@ export async function saveConversationMessage({ channelId, guildId, userId, role
   }
 }
 
+// How two members get on: back-and-forth messages between them (one answering the other
+// within 10 minutes in the same channel) and how many of those drew a moderation action.
+export async function getPairHistory({ guildId, userA, userB, days = 30 }) {
+  try {
+    const { rows } = await pool.query(
+      `SELECT COUNT(*)::int AS exchanges,
+              COUNT(*) FILTER (WHERE EXISTS (
+                SELECT 1 FROM moderation_log m
+                WHERE m.channel_id = h.channel_id AND m.user_id = h.user_id AND m.content = h.content
+                  AND m.created_at BETWEEN h.timestamp - interval '1 minute' AND h.timestamp + interval '1 minute'
+                  AND m.action_taken <> 'none' AND NOT m.dry_run
+              ))::int AS incidents
+       FROM (
+         SELECT channel_id, user_id, content, timestamp,
+                LAG(user_id) OVER w AS prev_user,
+                LAG(timestamp) OVER w AS prev_time
+         FROM conversation_history
+         WHERE guild_id = $1 AND role = 'user' AND user_id IN ($2, $3)
+           AND timestamp > now() - ($4 || ' days')::interval
+         WINDOW w AS (PARTITION BY channel_id ORDER BY timestamp)
+       ) h
+       WHERE h.prev_user IS NOT NULL AND h.prev_user <> h.user_id
+         AND h.timestamp - h.prev_time < interval '10 minutes'`,
+      [guildId, userA, userB, String(days)]
+    );
+    return rows[0];
+  } catch (error) {
+    console.error('Failed to read pair history:', error);
+    return { exchanges: 0, incidents: 0 };
+  }
+}
+
+// A guild's recent member messages, each with the tone verdict moderation logged for it
+// (matched on channel, author and content; null fields if it was never classified).
+export async function getRecentGuildMessages({ guildId, minutes }) {
+  try {
+    const { rows } = await pool.query(
+      `SELECT h.channel_id, h.user_id, h.content, h.timestamp,
+              l.passive_aggr, l.condescending, l.provocation, l.toxicity
+       FROM conversation_history h
+       LEFT JOIN LATERAL (
+         SELECT m.passive_aggr, m.condescending, m.provocation, m.toxicity
+         FROM moderation_log m
+         WHERE m.channel_id = h.channel_id AND m.user_id = h.user_id AND m.content = h.content
+           AND m.created_at BETWEEN h.timestamp - interval '1 minute' AND h.timestamp + interval '1 minute'
+         ORDER BY (m.toxicity <> 'none' OR m.passive_aggr OR m.condescending OR m.provocation) DESC, m.created_at DESC
+         LIMIT 1
+       ) l ON true
+       WHERE h.guild_id = $1 AND h.role = 'user' AND h.timestamp > now() - ($2 || ' minutes')::interval
+       ORDER BY h.channel_id, h.timestamp`,
+      [guildId, String(minutes)]
+    );
+    return rows;
+  } catch (error) {
+    console.error('Failed to read recent guild messages:', error);
+    return [];
+  }
+}
+
 export async function getConversationHistory({ channelId, limit = 20, maxAgeHours = 24 }) {
   try {
     const { rows } = await pool.query(
@@ -382,6 +1986,12 @@ export async function runDailyCleanup() {
       WHERE last_analyzed < NOW() - INTERVAL '30 days'
         AND flirty_level > 0
     `);
+
+    // Drop expired classifier verdicts
+    await pool.query(
+      `DELETE FROM classification_cache WHERE created_at < NOW() - ($1 || ' hours')::interval`,
+      [String(CLASSIFICATION_CACHE_TTL_HOURS)]
+    );
     
     console.log('Daily cleanup completed successfully');
   } catch (error) {
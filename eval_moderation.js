@@ -0,0 +1,274 @@
+// eval_moderation.js — offline evaluation of the moderation rules over labeled messages
+// Runs each message through moderation.js (the same pipeline bot.js uses) with stubbed
+// classifiers and an in-memory strike ladder, then scores predicted vs expected actions.
+//
+// Usage: node eval_moderation.js [file.jsonl] [--policy policy.json] [--json]
+//
+// One JSON object per line:
+//   { "author": "u1", "channel": "general", "timestamp": "2025-09-01T10:00:00Z",
+//     "content": "...", "expected_action": "warn",
+//     "guild": "g1",                                             // optional
+//     "attachments": [{ "name": "setup.exe", "size": 1024 }],    // optional, metadata checks only
+//     "mentions": { "users": ["u2", "u3"], "roles": [], "everyone": false },  // optional
+//     "moderation": { "harassment": true, "hate": false, ... },  // optional stubbed flags
+//     "tone": { "passive_aggressive": false, "condescending": true,
+//               "provocation": false, "toxicity": "medium" },    // optional stubbed tone
+//     "reply_to": "u2",                                          // optional: replies to u2's last message here
+//     "pair": { "exchanges": 40, "incidents": 0 },               // optional: author's 30-day history with
+//                                                                //   whoever they're talking to
+//     "tone_in_context": { "toxicity": "none" } }                // optional: verdict once the context is seen
+// A flagged tone verdict is judged again with its context, exactly as bot.js does; the
+// context is built from the replayed channel plus reply_to/pair, and tone_in_context
+// (defaulting to tone) is the stubbed answer to that second look.
+// Messages are replayed in timestamp order. When one message triggers several
+// actions (e.g. warn + delete for spam) the most severe one is the prediction.
+import fs from 'node:fs/promises';
+import {
+  DEFAULT_POLICY,
+  ACTION_SEVERITY,
+  strikeDecayMs,
+  ladderAction,
+  ladderPattern,
+  trackMessage,
+  trackMentions,
+  trackUserPosts,
+  normalizeForRepeat,
+  moderateMessage,
+  mostSevereAction,
+  isFamiliarPair,
+  CLEAN_TONE,
+} from './moderation.js';
+import { classifyInContext, formatToneContext, TONE_CONTEXT_MESSAGES } from './classifiers.js';
+import { scanLinks } from './links.js';
+import { inspectAttachment } from './attachments.js';
+import { DEFAULT_FILTER_RULES, compileFilterRules, matchFilters } from './filters.js';
+
+function parseArgs(argv) {
+  const args = { file: './eval/sample_messages.jsonl', policyFile: null, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--policy') args.policyFile = argv[++i];
+    else if (argv[i] === '--json') args.json = true;
+    else args.file = argv[i];
+  }
+  return args;
+}
+
+async function loadRecords(file) {
+  const raw = await fs.readFile(file, 'utf8');
+  const records = raw
+    .split('\n')
+    .map((line, i) => ({ line: line.trim(), n: i + 1 }))
+    .filter(({ line }) => line && !line.startsWith('//'))
+    .map(({ line, n }) => {
+      try {
+        const r = JSON.parse(line);
+        const time = typeof r.timestamp === 'number' ? r.timestamp : Date.parse(r.timestamp);
+        if (!r.author || !r.channel || !Number.isFinite(time) || !r.expected_action) {
+          throw new Error('needs author, channel, timestamp and expected_action');
+        }
+        return { ...r, time, guild: r.guild || 'eval' };
+      } catch (e) {
+        throw new Error(`${file}:${n}: ${e.message}`);
+      }
+    });
+  return records.sort((a, b) => a.time - b.time);
+}
+
+// Same semantics as addStrike/getStrikeState in db.js, but in memory and on the record clock.
+function createLadder(policy) {
+  const state = new Map(); // `${guild}:${user}` -> { count, lastStrike, timeoutUntil, lastToneReply }
+  const decayMs = strikeDecayMs(policy);
+  const get = (key) => state.get(key) || { count: 0, lastStrike: 0, timeoutUntil: 0, lastToneReply: 0 };
+
+  return {
+    history(key, now) {
+      const s = get(key);
+      const expired = !s.lastStrike || now - s.lastStrike > decayMs;
+      const count = expired ? 0 : s.count;
+      return {
+        warningCount: count,
+        pattern: ladderPattern(count, expired && s.count > 0),
+        timeoutUntil: s.timeoutUntil,
+        lastToneReply: s.lastToneReply,
+      };
+    },
+    strike(key, now) {
+      const s = get(key);
+      s.count = !s.lastStrike || now - s.lastStrike > decayMs ? 1 : s.count + 1;
+      s.lastStrike = now;
+      const action = ladderAction(s.count, policy);
+      if (action === 'timeout') s.timeoutUntil = now + policy.timeout_minutes * 60 * 1000;
+      state.set(key, s);
+      return action;
+    },
+    toneReplied(key, now) {
+      const s = get(key);
+      s.lastToneReply = now;
+      state.set(key, s);
+    },
+  };
+}
+
+// Same shape as buildToneContext in bot.js, from the replayed channel window; the pair's
+// history can't be replayed from a sample, so it comes from the record (none by default).
+function buildToneContext(r, channelWindow, policy) {
+  const earlier = channelWindow.filter(e => e.time < r.time);
+  const recent = earlier.slice(-TONE_CONTEXT_MESSAGES).map(e => ({ user_id: e.user, content: e.text.slice(0, 300) }));
+  const replied = r.reply_to ? [...earlier].reverse().find(e => e.user === r.reply_to) : null;
+  const otherId = replied?.user || [...recent].reverse().find(e => e.user_id !== r.author)?.user_id;
+  const history = { exchanges: r.pair?.exchanges ?? 0, incidents: r.pair?.incidents ?? 0 };
+  const pair = otherId ? { user_id: otherId, ...history, familiar: isFamiliarPair(history, policy) } : null;
+
+  if (!replied && !recent.length) return null;
+  return {
+    author_id: r.author,
+    reply_to: replied ? { user_id: replied.user, content: replied.text.slice(0, 300) } : null,
+    recent,
+    pair,
+  };
+}
+
+async function predictAll(records, policy) {
+  const ladder = createLadder(policy);
+  const filters = compileFilterRules(DEFAULT_FILTER_RULES);
+  const channelHistory = new Map();
+  const mentionHistory = new Map();
+  const postHistory = new Map();
+  const predictions = [];
+
+  for (const r of records) {
+    const key = `${r.guild}:${r.author}`;
+    const history = trackMessage(channelHistory, `${r.guild}:${r.channel}`, { text: r.content || '', time: r.time, user: r.author }, policy);
+    const categories = r.moderation || {};
+    const mentionWindow = trackMentions(mentionHistory, key, {
+      time: r.time,
+      users: r.mentions?.users || [],
+      roles: r.mentions?.roles || [],
+      everyone: Boolean(r.mentions?.everyone),
+    }, policy);
+    const postWindow = trackUserPosts(postHistory, key, {
+      text: normalizeForRepeat(r.content),
+      time: r.time,
+      channelId: r.channel,
+      messageId: String(predictions.length),
+    }, policy);
+
+    let toneContext = null;
+    const { actions } = await moderateMessage(r.content || '', {
+      policy,
+      now: r.time,
+      userMsgs: history.filter((h) => h.user === r.author),
+      mentionWindow,
+      postWindow,
+      removeCopies: async () => {},
+      moderate: async () => ({ flagged: Object.values(categories).some(Boolean), categories }),
+      classify: async (text) => {
+        const tone = await classifyInContext(
+          async (_, context = null) => ({ ...CLEAN_TONE, ...((context && r.tone_in_context) || r.tone || {}) }),
+          text,
+          () => buildToneContext(r, history, policy),
+        );
+        toneContext = tone.context;
+        return tone;
+      },
+      history: async () => ladder.history(key, r.time),
+      strike: async () => ladder.strike(key, r.time),
+      remove: async () => {},
+      warn: async () => {},
+      matchFilters: async (text) => matchFilters(text, filters),
+      removeDuplicates: async () => {},
+      // built-in checks only: no guild lists, no network, every invite counts as foreign
+      scanLinks: (text) => scanLinks(text),
+      scanAttachments: async () => (r.attachments || [])
+        .map(a => inspectAttachment(a, { maxBytes: policy.attachment_max_mb * 1024 * 1024 }))
+        .filter(Boolean),
+      callout: async () => null,
+      toneReplied: async () => ladder.toneReplied(key, r.time),
+      log: async () => {},
+    });
+
+    predictions.push({
+      expected: r.expected_action,
+      predicted: mostSevereAction(actions),
+      record: r,
+      context: toneContext ? formatToneContext(toneContext) : null,
+    });
+  }
+  return predictions;
+}
+
+function score(predictions) {
+  const labels = ACTION_SEVERITY.filter(a =>
+    predictions.some(p => p.expected === a || p.predicted === a)
+  );
+  for (const p of predictions) {
+    if (!labels.includes(p.expected)) labels.push(p.expected);
+  }
+
+  const confusion = Object.fromEntries(labels.map(e => [e, Object.fromEntries(labels.map(p => [p, 0]))]));
+  for (const p of predictions) confusion[p.expected][p.predicted] += 1;
+
+  const perAction = labels.map(label => {
+    const tp = confusion[label][label];
+    const predictedCount = labels.reduce((n, e) => n + confusion[e][label], 0);
+    const support = labels.reduce((n, p) => n + confusion[label][p], 0);
+    const precision = predictedCount ? tp / predictedCount : 0;
+    const recall = support ? tp / support : 0;
+    const f1 = precision + recall ? (2 * precision * recall) / (precision + recall) : 0;
+    return { action: label, precision, recall, f1, support, predicted: predictedCount };
+  });
+
+  const correct = predictions.filter(p => p.expected === p.predicted).length;
+  return { total: predictions.length, accuracy: predictions.length ? correct / predictions.length : 0, labels, perAction, confusion };
+}
+
+function printReport(report, predictions) {
+  const pct = (x) => `${(x * 100).toFixed(1)}%`.padStart(7);
+  console.log(`Messages: ${report.total}   accuracy: ${pct(report.accuracy).trim()}\n`);
+
+  console.log('action    precision  recall      f1  support  predicted');
+  for (const r of report.perAction) {
+    console.log(
+      `${r.action.padEnd(9)} ${pct(r.precision)}  ${pct(r.recall)} ${pct(r.f1)}  ${String(r.support).padStart(7)}  ${String(r.predicted).padStart(9)}`
+    );
+  }
+
+  console.log('\nconfusion (rows = expected, cols = predicted)');
+  console.log(''.padEnd(9) + report.labels.map(l => l.padStart(8)).join(''));
+  for (const e of report.labels) {
+    console.log(e.padEnd(9) + report.labels.map(p => String(report.confusion[e][p]).padStart(8)).join(''));
+  }
+
+  const misses = predictions.filter(p => p.expected !== p.predicted);
+  if (misses.length) {
+    console.log('\nmismatches:');
+    for (const m of misses.slice(0, 20)) {
+      const text = (m.record.content || '').replace(/\s+/g, ' ').slice(0, 60);
+      console.log(`• ${m.record.author}@${m.record.channel}: expected ${m.expected}, got ${m.predicted} — "${text}"`);
+      if (m.context) console.log(m.context.split('\n').map(line => `    ${line}`).join('\n'));
+    }
+    if (misses.length > 20) console.log(`… and ${misses.length - 20} more`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const overrides = args.policyFile ? JSON.parse(await fs.readFile(args.policyFile, 'utf8')) : {};
+  const policy = { ...DEFAULT_POLICY, ...overrides };
+
+  const records = await loadRecords(args.file);
+  const predictions = await predictAll(records, policy);
+  const report = score(predictions);
+
+  if (args.json) {
+    const mismatches = predictions.filter(p => p.expected !== p.predicted)
+      .map(({ record, expected, predicted, context }) => ({ author: record.author, channel: record.channel, content: record.content, expected, predicted, context }));
+    console.log(JSON.stringify({ policy, ...report, mismatches }, null, 2));
+  }
+  else printReport(report, predictions);
+}
+
+main().catch((e) => {
+  console.error('❌ Eval failed:', e.message);
+  process.exit(1);
+});
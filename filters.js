@@ -0,0 +1,165 @@
+// filters.js — per-guild wordlist/regex filter rules.
+// Rules are { id, type: 'word' | 'phrase' | 'regex', pattern, severity, action }.
+// Word and phrase rules are compiled into regexes that see through the usual dodges:
+// leetspeak ("fr33 n1tro"), elongation ("fuuuck"), spacing ("f u c k", "f.u.c.k"),
+// homoglyphs (Cyrillic "а" for Latin "a"), accents and zero-width characters.
+// Regex rules run as written (case-insensitive) against the normalized text, under a time limit.
+import vm from 'node:vm';
+import { normalizeForRepeat } from './moderation.js';
+
+export const FILTER_TYPES = ['word', 'phrase', 'regex'];
+export const FILTER_SEVERITIES = ['low', 'medium', 'high'];
+// log: record only · delete: remove the message · warn: reply with a warning · escalate: strike on the ladder
+export const FILTER_ACTIONS = ['log', 'delete', 'warn', 'escalate'];
+
+// What a guild gets until it edits its own list (replaces the old hard-coded insult regex).
+export const DEFAULT_FILTER_RULES = [
+  { id: 'default-1', type: 'phrase', pattern: 'stupid bot', severity: 'low', action: 'escalate' },
+  { id: 'default-2', type: 'phrase', pattern: 'fuck you', severity: 'medium', action: 'escalate' },
+];
+
+// ---------- normalization ----------
+// Lookalikes from Cyrillic and Greek that render like Latin letters.
+const HOMOGLYPHS = {
+  а: 'a', в: 'b', е: 'e', ё: 'e', к: 'k', м: 'm', н: 'h', о: 'o', р: 'p', с: 'c', т: 't', у: 'y', х: 'x',
+  і: 'i', ї: 'i', ј: 'j', ѕ: 's', ԁ: 'd', ԛ: 'q', ԝ: 'w', ɡ: 'g', ƒ: 'f',
+  α: 'a', β: 'b', ε: 'e', η: 'n', ι: 'i', κ: 'k', ν: 'v', ο: 'o', ρ: 'p', τ: 't', υ: 'u', χ: 'x', ω: 'w',
+};
+const HOMOGLYPH_RE = new RegExp(`[${Object.keys(HOMOGLYPHS).join('')}]`, 'g');
+// normalizeForRepeat already drops U+200B–U+200D and U+FEFF
+const INVISIBLE_RE = /[\u00AD\u034F\u061C\u180E\u2060-\u2064\u206A-\u206F]/g;
+
+export function normalizeForFilter(text) {
+  return normalizeForRepeat(
+    (text || '')
+      .normalize('NFKC')                 // fullwidth / styled letters -> plain
+      .normalize('NFD').replace(/\p{M}/gu, '') // accents
+      .replace(INVISIBLE_RE, '')
+  ).replace(HOMOGLYPH_RE, (c) => HOMOGLYPHS[c]);
+}
+
+// ---------- compiling ----------
+// Leetspeak stand-ins in groups that share no character, so a pattern letter matches its
+// whole group ("i" and "l" share one since "1" and "|" stand in for both). Disjoint groups
+// plus one greedy loop per run of a letter ("fuuuck", "k i l l") leave the engine a single
+// way to match, so no text can make it backtrack its way through every split.
+const LEET_GROUPS = ['a4@', 'b8', 'c(', 'e3', 'g9', 'il1!|', 'o0', 's5$', 't7+', 'uv', 'z2'];
+const LEET = Object.fromEntries(LEET_GROUPS.flatMap(group => [...group].map(ch => [ch, group])));
+// between letters of one word: spacing tricks ("f u c k", "f.u.c.k", "f_u_c_k"); none are stand-ins
+const GAP_CHARS = ' .-_*~';
+const LETTER_GAP = `[${GAP_CHARS.replace('-', '\\-')}]*`;
+// Matching only looks at this much of a message (Discord's own limit with Nitro).
+export const MAX_FILTER_TEXT = 4000;
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function classBody(chars) {
+  return chars.split('').map(ch => (/[\]\\^-]/.test(ch) ? `\\${ch}` : ch)).join('');
+}
+
+// "kill" -> [{ group: 'k', count: 1 }, { group: 'il1!|', count: 3 }]; gap characters in the pattern are gaps
+function letterRuns(word) {
+  const runs = [];
+  for (const ch of word) {
+    if (GAP_CHARS.includes(ch)) continue;
+    const group = LEET[ch] || ch;
+    if (runs.length && runs[runs.length - 1].group === group) runs[runs.length - 1].count += 1;
+    else runs.push({ group, count: 1 });
+  }
+  return runs;
+}
+
+function wordSource(runs) {
+  return runs.map(({ group, count }) => {
+    const cls = group.length > 1 ? `[${classBody(group)}]` : escapeRegex(group);
+    return `${cls}(?:${LETTER_GAP}${cls}){${count - 1},}`;
+  }).join(LETTER_GAP);
+}
+
+// Letters and digits, plus the stand-ins of the given runs' groups.
+function wordChars(...runs) {
+  const symbols = runs.flatMap(run => [...run.group]).filter(ch => !/[a-z0-9]/.test(ch)).join('');
+  return `a-z0-9${classBody(symbols)}`;
+}
+
+// User regexes can't be made safe by construction, so they run in a vm context with a timeout.
+export const REGEX_TIMEOUT_MS = 25;
+const regexContext = vm.createContext({});
+const regexScript = new vm.Script('re.exec(text)');
+
+// The match, or null; throws code ERR_SCRIPT_EXECUTION_TIMEOUT when the rule runs too long.
+function execBounded(re, text) {
+  regexContext.re = re;
+  regexContext.text = text;
+  try {
+    return regexScript.runInContext(regexContext, { timeout: REGEX_TIMEOUT_MS });
+  } finally {
+    regexContext.re = regexContext.text = null;
+  }
+}
+
+// Returns { ...rule, re } or throws with a message fit for the person who wrote the rule.
+export function compileFilterRule(rule) {
+  if (!FILTER_TYPES.includes(rule.type)) throw new Error(`Unknown rule type "${rule.type}".`);
+  if (rule.type === 'regex') {
+    try {
+      return { ...rule, re: new RegExp(rule.pattern, 'iu') };
+    } catch (e) {
+      throw new Error(`Invalid regex: ${e.message}`);
+    }
+  }
+  const words = normalizeForFilter(rule.pattern).split(' ').map(letterRuns).filter(runs => runs.length);
+  if (!words.length) throw new Error('Pattern is empty once normalized.');
+  if (rule.type === 'word' && words.length > 1) throw new Error('A word rule takes one word; use a phrase rule for several.');
+  const first = words[0][0];
+  const last = words[words.length - 1][words[words.length - 1].length - 1];
+  // between words: any run of non-letters, or nothing ("fuckyou"); the stand-ins on either side are
+  // kept out of the gap (and the edges) so the gap and the letters can't trade characters
+  const source = words.map((runs, i) =>
+    (i ? `[^${wordChars(words[i - 1][words[i - 1].length - 1], runs[0])}]*` : '') + wordSource(runs)
+  ).join('');
+  // lookarounds rather than \b, since leet stand-ins like "@" and "$" aren't word characters
+  return { ...rule, re: new RegExp(`(?<![${wordChars(first)}])${source}(?![${wordChars(last)}])`, 'u') };
+}
+
+// Bad rules are skipped (and reported) instead of taking the whole filter down.
+export function compileFilterRules(rules) {
+  const compiled = [];
+  for (const rule of rules) {
+    try {
+      compiled.push(compileFilterRule(rule));
+    } catch (e) {
+      console.warn(`filter rule ${rule.id} skipped:`, e.message);
+    }
+  }
+  return compiled;
+}
+
+// ---------- matching ----------
+// Every matching rule, most severe first: [{ rule, match }]. A regex rule that runs out of
+// time counts as no match and is reported through onTimeout (default: a warning).
+export function matchFilters(text, compiled, { onTimeout = null } = {}) {
+  const normalized = normalizeForFilter(String(text || '').slice(0, MAX_FILTER_TEXT));
+  const hits = [];
+  for (const rule of compiled) {
+    let m = null;
+    try {
+      m = rule.type === 'regex' ? execBounded(rule.re, normalized) : rule.re.exec(normalized);
+    } catch (e) {
+      if (e?.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw e;
+      if (onTimeout) onTimeout(rule);
+      else console.warn(`filter rule ${rule.id} gave up after ${REGEX_TIMEOUT_MS} ms`);
+    }
+    if (m) hits.push({ rule, match: m[0] });
+  }
+  return hits.sort((a, b) =>
+    FILTER_SEVERITIES.indexOf(b.rule.severity) - FILTER_SEVERITIES.indexOf(a.rule.severity) ||
+    FILTER_ACTIONS.indexOf(b.rule.action) - FILTER_ACTIONS.indexOf(a.rule.action)
+  );
+}
+
+export function describeFilterRule(rule) {
+  return `\`${rule.id}\` ${rule.type} \`${rule.pattern}\` · ${rule.severity} · ${rule.action}`;
+}
@@ -0,0 +1,242 @@
+// links.js — URL extraction and link-safety checks used by the moderation pipeline.
+// Pure apart from the resolver: scanLinks() takes the guild's allow/deny lists plus
+// two hooks (resolve, isOwnInvite) so bot.js can wire them to the network and the
+// eval harness can run offline.
+import { lookup } from 'node:dns/promises';
+import { isIP } from 'node:net';
+import { domainToUnicode } from 'node:url';
+import { normalizeForFilter } from './filters.js';
+
+// ---------- extraction ----------
+const URL_RE = /\bhttps?:\/\/[^\s<>"'`]+/gi;
+// invites are often posted without a scheme ("discord.gg/abc")
+const INVITE_RE = /\b(?:https?:\/\/)?(?:www\.)?(?:discord(?:app)?\.com\/invite|discord\.gg|dsc\.gg)\/([a-z0-9-]{2,32})\b/gi;
+
+// trailing punctuation from prose ("see https://x.com/a).") isn't part of the link
+function trimUrl(raw) {
+  return raw.replace(/[)\].,!?:;]+$/, '');
+}
+
+export function extractUrls(text) {
+  const urls = new Set();
+  for (const m of (text || '').matchAll(URL_RE)) urls.add(trimUrl(m[0]));
+  return [...urls];
+}
+
+export function extractInviteCodes(text) {
+  const codes = new Set();
+  for (const m of (text || '').matchAll(INVITE_RE)) codes.add(m[1]);
+  return [...codes];
+}
+
+export function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+}
+
+// "example.com" covers example.com and any subdomain of it
+export function domainMatches(host, domains) {
+  if (!host) return null;
+  return domains.find(d => host === d || host.endsWith(`.${d}`)) || null;
+}
+
+// Lowercases and strips scheme/path so "/links deny https://Evil.com/x" stores "evil.com".
+export function normalizeDomain(input) {
+  const raw = String(input || '').trim().toLowerCase();
+  const host = hostOf(/^[a-z]+:\/\//.test(raw) ? raw : `http://${raw}`);
+  return host && /^[a-z0-9.-]+\.[a-z0-9-]{2,}$/.test(host) ? host : null;
+}
+
+// Allowlist entries are domains, or single invites stored as "discord.gg/<code>"
+// (codes are case-sensitive, so they're kept as typed).
+const INVITE_RULE_PREFIX = 'discord.gg/';
+
+export function normalizeLinkRule(input) {
+  const [code] = extractInviteCodes(String(input || '').trim());
+  return code ? `${INVITE_RULE_PREFIX}${code}` : normalizeDomain(input);
+}
+
+// ---------- built-in lists ----------
+export const SHORTENER_DOMAINS = [
+  'bit.ly', 'tinyurl.com', 't.co', 'goo.gl', 'is.gd', 'cutt.ly', 'rb.gy', 'ow.ly',
+  'shorturl.at', 'tiny.cc', 'rebrand.ly', 'buff.ly', 't.ly', 'lnkd.in', 'forms.gle',
+];
+
+const OFFICIAL_DOMAINS = [
+  'discord.com', 'discord.gg', 'discordapp.com', 'discordapp.net', 'discord.media', 'discordstatus.com',
+  'steampowered.com', 'steamcommunity.com',
+  'discord.dev', 'discord.js.org', 'discordjs.guide', 'discordjs.dev',
+];
+
+// Free-Nitro / fake-Steam scams live on lookalike hosts ("dlscord-gift.com", "steamcommunlty.ru",
+// "dіscord.com" with a Cyrillic і). Hosts are compared by skeleton (homoglyphs and look-alike
+// digits folded, "rn" -> "m") rather than by substring, so projects that merely have "discord"
+// in their name ("discordjs.dev", "discordbotlist.com") aren't caught.
+const SKELETON_CHARS = { 0: 'o', 1: 'i', l: 'i', '!': 'i', '|': 'i', 3: 'e', 4: 'a', '@': 'a', 5: 's', $: 's', 7: 't' };
+
+function skeleton(s) {
+  return normalizeForFilter(s)
+    .replace(/rn/g, 'm')
+    .replace(/vv/g, 'w')
+    .replace(/cl/g, 'd')
+    .replace(/[01l!|347@5$]/g, c => SKELETON_CHARS[c]);
+}
+
+// one typo away from these (two for the 12+ letter ones) is a lookalike
+const BRANDS = ['discord', 'discordapp', 'steamcommunity', 'steampowered'].map(skeleton);
+// a brand glued to a giveaway word ("discord-gift", "freenitro", "steam-trade") is one too
+const BAIT_BRANDS = ['discord', 'steam', 'nitro'].map(skeleton);
+const BAIT_WORDS = ['gift', 'gifts', 'free', 'nitro', 'promo', 'airdrop', 'drop', 'giveaway', 'give', 'trade', 'claim', 'get'].map(skeleton);
+const BAIT_RE = new RegExp(
+  `(${BAIT_BRANDS.join('|')})(${BAIT_WORDS.join('|')})|(${BAIT_WORDS.join('|')})(${BAIT_BRANDS.join('|')})`
+);
+
+// Levenshtein plus swapped neighbours ("discrod"), each counting as one edit
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+    }
+  }
+  return d[a.length][b.length];
+}
+
+export function isLookalike(host) {
+  if (!host || domainMatches(host, OFFICIAL_DOMAINS)) return false;
+  // punycode ("xn--dscord-...") back to the characters it renders as
+  const labels = domainToUnicode(host).split('.');
+  return labels.some(label => {
+    if (BAIT_RE.test(skeleton(label.replace(/-/g, '')))) return true;
+    return label.split('-').some(token => {
+      const t = skeleton(token);
+      return BRANDS.some(b => editDistance(t, b) <= (b.length >= 12 ? 2 : 1));
+    });
+  });
+}
+
+// ---------- resolvers ----------
+// A resolver turns a shortener URL into the chain of URLs it redirects through
+// ({ chain: [url, ..., final] }); it must never throw.
+export const noopResolver = { name: 'none', resolve: async (url) => ({ chain: [url] }) };
+
+// Loopback, RFC 1918, CGNAT, link-local (cloud metadata at 169.254.169.254) and the IPv6 equivalents.
+export function isPrivateAddress(ip) {
+  const v4 = ip.startsWith('::ffff:') ? ip.slice(7) : ip;
+  if (isIP(v4) === 4) {
+    const [a, b] = v4.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127) || a >= 224;
+  }
+  const v6 = ip.toLowerCase();
+  return v6 === '::' || v6 === '::1' || /^f[cd]/.test(v6) || /^fe[89ab]/.test(v6);
+}
+
+// Only http(s) URLs whose host resolves to public addresses are requested.
+async function isPublicTarget(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return false;
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (isIP(host)) return !isPrivateAddress(host);
+  const addresses = await lookup(host, { all: true });
+  return addresses.length > 0 && !addresses.some(a => isPrivateAddress(a.address));
+}
+
+// Follows redirects with HEAD requests (no bodies downloaded), up to `maxHops`.
+// A hop to a private or link-local address is recorded in the chain but never requested.
+export function createHttpResolver({ maxHops = 5, timeoutMs = 3000, cacheSize = 500 } = {}) {
+  const cache = new Map();
+  return {
+    name: 'http',
+    async resolve(url) {
+      if (cache.has(url)) return cache.get(url);
+      const chain = [url];
+      let current = url;
+      try {
+        for (let hop = 0; hop < maxHops; hop++) {
+          if (!(await isPublicTarget(current))) {
+            console.warn(`link resolver: not following ${url} into ${current} (non-public address)`);
+            break;
+          }
+          const res = await fetch(current, {
+            method: 'HEAD',
+            redirect: 'manual',
+            signal: AbortSignal.timeout(timeoutMs),
+          });
+          const next = res.status >= 300 && res.status < 400 ? res.headers.get('location') : null;
+          if (!next) break;
+          current = new URL(next, current).toString();
+          chain.push(current);
+        }
+      } catch (e) {
+        console.warn(`link resolver: ${url} failed after ${chain.length - 1} hop(s):`, e?.message || e);
+      }
+      if (cache.size >= cacheSize) cache.delete(cache.keys().next().value);
+      cache.set(url, { chain });
+      return { chain };
+    },
+  };
+}
+
+// LINK_RESOLVER="http" (default) or "none" to never touch the network.
+export function resolverFromEnv(spec) {
+  return (spec || 'http').trim() === 'none' ? noopResolver : createHttpResolver();
+}
+
+// ---------- scan ----------
+// Returns one finding per offending link: { kind, url, host, via?, reason }.
+// kind: 'invite' | 'denied' | 'lookalike'. Allowlisted hosts and invites are never flagged.
+export async function scanLinks(text, { allow = [], deny = [], resolve = noopResolver.resolve, isOwnInvite = async () => false } = {}) {
+  const findings = [];
+  const allowedInvites = new Set(allow.filter(a => a.startsWith(INVITE_RULE_PREFIX)).map(a => a.slice(INVITE_RULE_PREFIX.length)));
+  const inviteOk = async (code) => allowedInvites.has(code) || isOwnInvite(code);
+
+  for (const code of extractInviteCodes(text)) {
+    if (!(await inviteOk(code))) {
+      findings.push({ kind: 'invite', url: `discord.gg/${code}`, host: 'discord.gg', reason: `Invite to another server (discord.gg/${code})` });
+    }
+  }
+
+  for (const url of extractUrls(text)) {
+    const host = hostOf(url);
+    if (!host || domainMatches(host, allow)) continue;
+    if (extractInviteCodes(url).length) continue; // handled above
+
+    let hosts = [host];
+    let via = null;
+    if (domainMatches(host, SHORTENER_DOMAINS)) {
+      const { chain } = await resolve(url);
+      hosts = chain.map(hostOf).filter(Boolean);
+      via = host;
+      // a shortener pointing at an invite is still an invite
+      const target = chain[chain.length - 1];
+      const codes = extractInviteCodes(target);
+      if (codes.length && !(await inviteOk(codes[0]))) {
+        findings.push({ kind: 'invite', url, host: hostOf(target), via, reason: `Invite to another server (via ${via})` });
+        continue;
+      }
+    }
+
+    const final = hosts[hosts.length - 1];
+    if (domainMatches(final, allow)) continue;
+    const denied = hosts.find(h => domainMatches(h, deny));
+    if (denied) {
+      findings.push({ kind: 'denied', url, host: denied, via, reason: `Blocked domain (${denied}${via ? ` via ${via}` : ''})` });
+    } else if (hosts.some(isLookalike)) {
+      const fake = hosts.find(isLookalike);
+      findings.push({ kind: 'lookalike', url, host: fake, via, reason: `Suspicious lookalike link (${fake}${via ? ` via ${via}` : ''})` });
+    }
+  }
+
+  return findings;
+}
@@ -0,0 +1,595 @@
+// moderation.js — decision logic shared by bot.js and the offline eval harness.
+// No Discord, OpenAI or Postgres in here: every side effect comes in through `ctx`.
+
+// ---------- policy ----------
+// Defaults for every threshold; guilds override individual keys via /policy set.
+export const DEFAULT_POLICY = {
+  strike_warn: 1,
+  strike_timeout: 2,
+  strike_kick: 3,
+  strike_ban: 4,
+  strike_decay_days: 7,
+  timeout_minutes: 10,
+  ban_hours: 0,                // ladder bans lift after this long; 0 = permanent
+  flood_messages: 5,
+  flood_window_seconds: 5,
+  emoji_limit: 12,
+  tone_cooldown_seconds: 5,
+  tone_cooldown_repeat_seconds: 3,
+  thread_reply_threshold: 20,
+  banter_min_exchanges: 20,    // clean back-and-forths (30 days) before two members count as mates
+  vote_threshold: 3,           // summed voter weight needed to remove a message
+  vote_min_account_days: 7,
+  vote_overturn_limit: 3,      // overturned votes (30 days) before a member's votes stop counting
+  raid_joins: 5,
+  raid_window_seconds: 60,
+  raid_quiet_minutes: 10,
+  raid_new_account_days: 7,
+  verify_timeout_minutes: 30,
+  verify_raid_timeout_minutes: 10,
+  // channel heat: heat_messages tone-flagged/struck messages from heat_users people -> slowmode
+  heat_messages: 6,
+  heat_users: 2,
+  heat_window_seconds: 120,
+  heat_slowmode_seconds: 15,
+  heat_cool_minutes: 5,
+  // conflict detector: two members trading borderline messages in one channel
+  conflict_window_minutes: 30,
+  conflict_min_exchanges: 6,   // speaker switches between the pair
+  conflict_min_heated: 4,      // of their messages with any tone flag
+  conflict_alert_cooldown_minutes: 60,
+  attachment_max_mb: 25,
+  // mention floods trigger once a count reaches the threshold
+  mention_users_per_message: 8,
+  mention_roles_per_message: 3,
+  mention_everyone_per_message: 1,
+  mention_users_per_window: 15,
+  mention_roles_per_window: 5,
+  mention_everyone_per_window: 2,
+  mention_window_seconds: 30,
+  cross_channel_copies: 3,
+  cross_channel_window_seconds: 300,
+};
+
+export function strikeDecayMs(policy) {
+  return policy.strike_decay_days * 24 * 60 * 60 * 1000;
+}
+
+// highest rung reached wins; counts between rungs repeat the lower one
+export function ladderAction(count, policy) {
+  if (count >= policy.strike_ban) return 'ban';
+  if (count >= policy.strike_kick) return 'kick';
+  if (count >= policy.strike_timeout) return 'timeout';
+  if (count >= policy.strike_warn) return 'warn';
+  return 'none';
+}
+
+// Prompt-facing label for how far along the ladder someone is.
+export function ladderPattern(count, decayed = false) {
+  if (decayed) return 'clean slate';
+  if (count >= 4) return 'chronic issue';
+  if (count >= 2) return 'repeat behavior';
+  return 'first incident';
+}
+
+// ---------- durations ----------
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+// Longest timed action; past this an expiry is a typo, and far enough out it isn't a valid Date.
+export const MAX_DURATION_MS = 365 * DURATION_UNITS.d;
+
+// "90m", "12h", "7d", "2w" or combinations ("1d12h") -> ms; null if unparseable or over MAX_DURATION_MS
+export function parseDuration(text) {
+  const raw = String(text || '').trim().toLowerCase().replace(/\s+/g, '');
+  if (!/^(\d+[mhdw])+$/.test(raw)) return null;
+  let ms = 0;
+  for (const [, n, unit] of raw.matchAll(/(\d+)([mhdw])/g)) ms += Number(n) * DURATION_UNITS[unit];
+  return ms > 0 && ms <= MAX_DURATION_MS ? ms : null;
+}
+
+// A timed /shadowban over one with no end date would lift it when the timer runs out;
+// a new timer over a timed shadowban just replaces the old timer.
+export function shortensPermanentShadowban({ shadowbanned, timed }, durationMs) {
+  return Boolean(durationMs) && shadowbanned && !timed;
+}
+
+export function formatDuration(ms) {
+  const parts = [];
+  for (const unit of ['w', 'd', 'h', 'm']) {
+    const n = Math.floor(ms / DURATION_UNITS[unit]);
+    if (n) parts.push(`${n}${unit}`);
+    ms -= n * DURATION_UNITS[unit];
+  }
+  return parts.join('') || '0m';
+}
+
+// ---------- text heuristics ----------
+export const CLEAN_TONE = { passive_aggressive: false, condescending: false, provocation: false, toxicity: 'none' };
+
+export function normalizeForRepeat(s) {
+  return (s || '')
+    .toLowerCase()
+    .replace(/[\u200B-\u200D\uFEFF]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Emoji-only, punctuation-only or single-letter messages ("k", "??", "😂😂") carry
+// nothing a classifier could judge, so they skip the model calls entirely.
+export function isTrivialText(text) {
+  return normalizeForRepeat(text).replace(/[^\p{L}\p{N}]/gu, '').length < 2;
+}
+
+function editDistance(a, b) {
+  const prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diag = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = prev[j];
+      prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diag = tmp;
+    }
+  }
+  return prev[b.length];
+}
+
+export function hasCopypastaInSingleMessage(text) {
+  if (!text) return false;
+  if (text.replace(/\s+/g, ' ').trim().length < 30) return false;
+
+  const rawLines = text.split(/\n+/).map(l => l.trim()).filter(Boolean);
+  if (rawLines.length >= 3) {
+    const lineCounts = new Map();
+    for (const l of rawLines) {
+      const k = normalizeForRepeat(l);
+      if (k.length < 20) continue;
+      lineCounts.set(k, (lineCounts.get(k) || 0) + 1);
+    }
+    if ([...lineCounts.values()].some(c => c >= 3)) return true;
+  }
+
+  const sentences = normalizeForRepeat(text).split(/(?<=[.!?])\s+/).filter(Boolean);
+  if (sentences.length >= 3) {
+    const sentCounts = new Map();
+    for (const s of sentences) {
+      if (s.length < 20) continue;
+      sentCounts.set(s, (sentCounts.get(s) || 0) + 1);
+    }
+    if ([...sentCounts.values()].some(c => c >= 3)) return true;
+  }
+
+  const t = normalizeForRepeat(text);
+  if (t.length >= 120) {
+    const window = 60;
+    const step = 20;
+    const seen = new Map();
+    for (let i = 0; i + window <= t.length; i += step) {
+      const chunk = t.slice(i, i + window);
+      seen.set(chunk, (seen.get(chunk) || 0) + 1);
+    }
+    if ([...seen.values()].some(c => c >= 3)) return true;
+  }
+  return false;
+}
+
+export function countEmojis(text) {
+  const emojiRegex = /[\u{1F1E6}-\u{1FAFF}\u{1F300}-\u{1F6FF}\u{1F900}-\u{1F9FF}\u{2600}-\u{27BF}\u{FE0F}]/gu;
+  const m = (text || '').match(emojiRegex);
+  return m ? m.length : 0;
+}
+
+// ---------- recent-message window ----------
+// Per-channel rolling buffer used by the flood and duplicate checks.
+export function trackMessage(store, channelId, entry, policy) {
+  const history = store.get(channelId) || [];
+  history.push(entry);
+  while (history.length > Math.max(10, policy.flood_messages)) history.shift();
+  store.set(channelId, history);
+  return history;
+}
+
+// ---------- cross-channel copies ----------
+// Per-user window across every channel of a guild: { text (normalized), time, channelId, messageId }.
+export function trackUserPosts(store, key, entry, policy) {
+  const cutoff = entry.time - policy.cross_channel_window_seconds * 1000;
+  const window = (store.get(key) || []).filter(e => e.time > cutoff);
+  window.push(entry);
+  store.set(key, window);
+  return window;
+}
+
+// Identical after normalizeForRepeat, or within ~15% edits (a swapped link or name).
+// Only the first 300 chars are compared to keep the edit distance cheap.
+export function nearDuplicate(a, b) {
+  if (a === b) return true;
+  const x = a.slice(0, 300), y = b.slice(0, 300);
+  return editDistance(x, y) <= Math.floor(Math.max(x.length, y.length) * 0.15);
+}
+
+const MIN_CROSS_CHANNEL_LENGTH = 15; // "hi", "thanks", "gm" in several channels is just chatting
+
+// Copies of the newest entry in the window; returns { copies, channels } once they span
+// cross_channel_copies distinct channels, else null.
+export function crossChannelCopies(window, policy) {
+  const current = window[window.length - 1];
+  if (!current || current.text.length < MIN_CROSS_CHANNEL_LENGTH) return null;
+  const copies = window.filter(e => nearDuplicate(e.text, current.text));
+  const channels = new Set(copies.map(e => e.channelId)).size;
+  // floor of 2 also covers a 1 saved before /policy set enforced it: one channel is not "cross-channel"
+  return channels >= Math.max(2, policy.cross_channel_copies) ? { copies, channels } : null;
+}
+
+// ---------- mentions ----------
+// Per-user (not per-channel) window of mention entries: { time, users, roles, everyone }.
+export function trackMentions(store, key, entry, policy) {
+  const cutoff = entry.time - policy.mention_window_seconds * 1000;
+  const window = (store.get(key) || []).filter(e => e.time > cutoff);
+  window.push(entry);
+  store.set(key, window);
+  return window;
+}
+
+// First limit hit, checking @everyone/@here, then roles, then users; per message before
+// the window. A window limit only counts against a message that itself adds that kind.
+// Returns { kind, scope, reason, users, roles, everyone } naming the abused mentions, or null.
+export function mentionAbuse(window, policy) {
+  const current = window[window.length - 1];
+  if (!current) return null;
+  const kinds = [
+    { kind: 'everyone', count: (list) => list.filter(e => e.everyone).length },
+    { kind: 'roles', count: (list) => list.reduce((n, e) => n + e.roles.length, 0) },
+    { kind: 'users', count: (list) => list.reduce((n, e) => n + e.users.length, 0) },
+  ];
+  const seconds = policy.mention_window_seconds;
+
+  for (const scope of ['message', 'window']) {
+    for (const k of kinds) {
+      if (!k.count([current])) continue;
+      const list = scope === 'message' ? [current] : window;
+      const count = k.count(list);
+      if (count < policy[`mention_${k.kind}_per_${scope}`]) continue;
+      return {
+        kind: k.kind,
+        scope,
+        reason: k.kind === 'everyone'
+          ? `Mass mention (${count} @everyone/@here attempt${count === 1 ? '' : 's'}${scope === 'window' ? ` in ${seconds}s` : ''})`
+          : `Mass mention (${count} ${k.kind} ${scope === 'message' ? 'in one message' : `in ${seconds}s`})`,
+        users: [...new Set(list.flatMap(e => e.users))],
+        roles: [...new Set(list.flatMap(e => e.roles))],
+        everyone: list.some(e => e.everyone),
+      };
+    }
+  }
+  return null;
+}
+
+// ---------- raid review ----------
+// Raid waves reuse one name with numbers/suffixes ("freebot12", "freebot_77"), so
+// names are compared by their letters only.
+function nameSkeleton(name) {
+  return (name || '').toLowerCase().replace(/[^a-z]/g, '');
+}
+
+// joiners: [{ user_id, username, account_created_at, default_avatar }]
+// Returns the same rows with `flags`: 'new_account' | 'default_avatar' | 'similar_name'.
+export function flagRaidJoiners(joiners, policy, now = Date.now()) {
+  const maxAgeMs = policy.raid_new_account_days * 24 * 60 * 60 * 1000;
+  const skeletons = joiners.map(j => nameSkeleton(j.username));
+  return joiners.map((j, i) => {
+    const flags = [];
+    if (j.account_created_at && now - new Date(j.account_created_at).getTime() < maxAgeMs) flags.push('new_account');
+    if (j.default_avatar) flags.push('default_avatar');
+    const mine = skeletons[i];
+    const similar = mine.length >= 3 && skeletons.some((other, k) =>
+      k !== i && other.length >= 3 &&
+      (other === mine || (Math.min(mine.length, other.length) >= 5 && editDistance(mine, other) <= 2))
+    );
+    if (similar) flags.push('similar_name');
+    return { ...j, flags };
+  });
+}
+
+// ---------- verification ----------
+// Raid mode tightens the gate: two questions and no second chances.
+// maxWrong is how many wrong answers are forgiven; the next one fails the member.
+export function verificationRequirements(raidMode) {
+  return raidMode ? { questions: 2, maxWrong: 0 } : { questions: 1, maxWrong: 3 };
+}
+
+// Small arithmetic question with four shuffled choices; `answer` is the right index.
+export function makeVerificationQuestion(random = Math.random) {
+  const a = 2 + Math.floor(random() * 8);
+  const b = 2 + Math.floor(random() * 8);
+  const right = a + b;
+  const choices = new Set([right]);
+  while (choices.size < 4) choices.add(right + Math.floor(random() * 9) - 4);
+  const shuffled = [...choices].sort(() => random() - 0.5);
+  return { prompt: `What is ${a} + ${b}?`, choices: shuffled.map(String), answer: shuffled.indexOf(right) };
+}
+
+// ---------- tone ----------
+export function assessTone(tone) {
+  const hasToneIssues =
+    tone.passive_aggressive || tone.condescending || tone.provocation || (tone.toxicity || 'none') !== 'none';
+  const hostile =
+    tone.toxicity === 'high' || (tone.toxicity === 'medium' && (tone.condescending || tone.provocation));
+  const flags = ['passive_aggressive', 'condescending', 'provocation'].filter(k => tone[k]);
+  const reason = hostile
+    ? `Hostile tone (${tone.toxicity})`
+    : `Tone (${flags.join(', ') || `toxicity ${tone.toxicity}`})`;
+  return { hasToneIssues, hostile, reason };
+}
+
+// Two members with enough clean back-and-forths (30 days) count as mates, whose jabs read as banter.
+export function isFamiliarPair({ exchanges, incidents }, policy) {
+  return exchanges >= policy.banter_min_exchanges && incidents === 0;
+}
+
+// ---------- channel heat ----------
+// A message heats its channel when it was struck or its tone was flagged.
+export function isHeatedMessage({ actions = [], tone = null }) {
+  if (actions.some(a => a !== 'delete' && a !== 'none')) return true;
+  if (!tone) return false;
+  const { hasToneIssues, hostile } = assessTone(tone);
+  return hasToneIssues || hostile;
+}
+
+// Per-channel window of heated messages: { time, user }.
+export function trackHeat(store, channelId, entry, policy) {
+  const cutoff = entry.time - policy.heat_window_seconds * 1000;
+  const window = (store.get(channelId) || []).filter(e => e.time > cutoff);
+  window.push(entry);
+  store.set(channelId, window);
+  return window;
+}
+
+// One person ranting is a strike problem; it's heat once several people are at it.
+export function isOverheated(window, policy) {
+  return window.length >= policy.heat_messages && new Set(window.map(e => e.user)).size >= policy.heat_users;
+}
+
+// ---------- conflict detection ----------
+const TOXICITY_WEIGHT = { none: 0, low: 1, medium: 2, high: 3 };
+
+// 0 for a clean message; each tone flag and toxicity step adds one.
+export function messageHeat(tone) {
+  if (!tone) return 0;
+  return (TOXICITY_WEIGHT[tone.toxicity] || 0) +
+    ['passive_aggressive', 'condescending', 'provocation'].filter(k => tone[k]).length;
+}
+
+// Spots pairs trading jabs in one channel's recent messages, where each message on its
+// own may be too mild to strike. messages: chronological [{ user, text, time, tone }].
+// Returns [{ users, messages, exchanges, heated, level, trend }], hottest first.
+// level: 'tense' | 'heated' | 'hostile'; trend: how much hotter the second half got.
+export function findConflicts(messages, policy) {
+  const counts = new Map();
+  for (const m of messages) counts.set(m.user, (counts.get(m.user) || 0) + 1);
+  const speakers = [...counts.keys()].filter(u => counts.get(u) * 2 > policy.conflict_min_exchanges);
+
+  const conflicts = [];
+  for (let i = 0; i < speakers.length; i++) {
+    for (let j = i + 1; j < speakers.length; j++) {
+      const users = [speakers[i], speakers[j]];
+      const thread = messages.filter(m => users.includes(m.user));
+      const exchanges = thread.filter((m, k) => k > 0 && m.user !== thread[k - 1].user).length;
+      if (exchanges < policy.conflict_min_exchanges) continue;
+
+      const heats = thread.map(m => messageHeat(m.tone));
+      const heated = heats.filter(h => h > 0).length;
+      // both sides have to be throwing something; one person being snippy isn't a fight
+      const bothSides = users.every(u => thread.some((m, k) => m.user === u && heats[k] > 0));
+      if (heated < policy.conflict_min_heated || !bothSides) continue;
+
+      const avg = (list) => (list.length ? list.reduce((a, b) => a + b, 0) / list.length : 0);
+      const half = Math.floor(heats.length / 2);
+      const mean = avg(heats);
+      const trend = avg(heats.slice(half)) - avg(heats.slice(0, half));
+      const level = mean >= 2 || thread.some(m => m.tone?.toxicity === 'high') ? 'hostile'
+        : mean >= 1 || (trend >= 0.5 && mean >= 0.5) ? 'heated'
+        : 'tense';
+      conflicts.push({ users, messages: thread, exchanges, heated, level, trend, mean });
+    }
+  }
+  return conflicts.sort((a, b) => b.mean - a.mean);
+}
+
+export const CONFLICT_LEVELS = ['tense', 'heated', 'hostile'];
+
+// ---------- exemptions ----------
+// Checks a channel profile can switch off or a trusted role can skip.
+// 'content' is the harassment/hate/violence classifier, 'tone' the tone strikes and callouts.
+export const MODERATION_CHECKS = [
+  'flood', 'copypasta', 'duplicates', 'cross_channel', 'emoji', 'mentions', 'links', 'attachments', 'filters', 'content', 'tone',
+];
+
+// Threads use their parent channel's profile unless they have their own.
+// profiles: channelId -> { disabled, overrides }; trusted: roleId -> checks ('all' = every check)
+export function resolveExemptions({ profiles = {}, trusted = {} }, { channelId, parentId = null, roleIds = [] }) {
+  const profile = profiles[channelId] || (parentId && profiles[parentId]) || null;
+  const skip = new Set(profile?.disabled || []);
+  for (const roleId of roleIds) {
+    for (const check of trusted[roleId] || []) {
+      if (check === 'all') MODERATION_CHECKS.forEach(c => skip.add(c));
+      else skip.add(check);
+    }
+  }
+  return { profile, skip };
+}
+
+// ---------- pipeline ----------
+// Runs one message through every check, in order, and returns what happened.
+// ctx supplies the environment (the bot wires these to Discord/OpenAI/Postgres,
+// the eval harness to stubs and an in-memory ladder):
+//   policy, now, userMsgs               – merged policy, clock (ms), author's recent messages in the channel
+//   skip             -> Set of MODERATION_CHECKS names not to run here (optional)
+//   moderate(text)   -> moderation result ({ flagged, categories }); skipped for trivial text
+//   classify(text)   -> tone verdict; skipped for trivial text
+//   history()        -> { warningCount, pattern, timeoutUntil, lastToneReply }
+//   strike(reason, { warning, links, mentions, filter }) -> ladder action taken
+//   remove(reason, { links, mentions, filter }) -> delete the message
+//   warn(reason, { filter }) -> reply with a warning, no strike
+//   matchFilters(text) -> guild filter-rule hits, most severe first (filters.js); optional
+//   removeDuplicates(normalized, reason) -> delete the author's recent copies
+//   mentionWindow    -> author's recent mention entries incl. this message (trackMentions), or null to skip
+//   postWindow       -> author's recent posts in every channel incl. this one (trackUserPosts), or null to skip
+//   removeCopies(copies, reason) -> delete every listed copy, wherever it was posted
+//   scanLinks(text)  -> link findings from links.js ([] when the message is clean)
+//   scanAttachments() -> attachment findings ({ kind, reason }) from attachments.js + image moderation
+//   callout(tone, history) -> witty warn-rung line (may return null)
+//   toneReplied()    -> remember the callout for the cooldown
+//   log(fields)      -> write the no-action log row
+export async function moderateMessage(text, ctx) {
+  const { policy, now, userMsgs } = ctx;
+  const skip = ctx.skip || new Set();
+  const actions = [];
+  const strike = async (reason, opts) => { actions.push(await ctx.strike(reason, opts)); };
+  const remove = async (reason, opts) => { await ctx.remove(reason, opts); actions.push('delete'); };
+
+  const floodMsgs = userMsgs.slice(-policy.flood_messages);
+  if (!skip.has('flood') && floodMsgs.length >= policy.flood_messages &&
+      now - floodMsgs[0].time < policy.flood_window_seconds * 1000) {
+    await strike('Spam (too many messages)');
+    await remove('Spam (too many messages)');
+    return { actions };
+  }
+
+  if (!skip.has('copypasta') && hasCopypastaInSingleMessage(text)) {
+    await strike('Spam (copypasta in single message)');
+    await remove('Spam (copypasta in single message)');
+    return { actions };
+  }
+
+  const normalizedBatch = userMsgs.map((h) => normalizeForRepeat(h.text));
+  if (!skip.has('duplicates') && normalizedBatch.length >= 3) {
+    const first = normalizedBatch[0];
+    const allSame = normalizedBatch.every(x => x === first) && first.length >= 20;
+    if (allSame) {
+      await strike('Spam (duplicate copypasta)');
+      await ctx.removeDuplicates(first, 'Spam (duplicate copypasta)');
+      actions.push('delete');
+      return { actions };
+    }
+  }
+
+  const crossChannel = ctx.postWindow && !skip.has('cross_channel') ? crossChannelCopies(ctx.postWindow, policy) : null;
+  if (crossChannel) {
+    const reason = `Spam (same message in ${crossChannel.channels} channels)`;
+    await strike(reason);
+    await ctx.removeCopies(crossChannel.copies, reason);
+    actions.push('delete');
+    return { actions };
+  }
+
+  if (!skip.has('emoji') && countEmojis(text) >= policy.emoji_limit) {
+    await strike('Spam (emoji flood)');
+    await remove('Spam (emoji flood)');
+    return { actions };
+  }
+
+  const mentions = ctx.mentionWindow && !skip.has('mentions') ? mentionAbuse(ctx.mentionWindow, policy) : null;
+  if (mentions) {
+    await strike(mentions.reason, { mentions });
+    await remove(mentions.reason, { mentions });
+    return { actions, mentions };
+  }
+
+  // scam links: one strike for the whole message, reason from the first finding
+  const links = skip.has('links') ? [] : await ctx.scanLinks(text);
+  if (links.length) {
+    await strike(links[0].reason, { links });
+    await remove(links[0].reason, { links });
+    return { actions, links };
+  }
+
+  // wrong type / too big is a house rule, so delete only; malware, known-bad
+  // hashes and flagged images also strike
+  const files = skip.has('attachments') ? [] : await ctx.scanAttachments();
+  if (files.length) {
+    const serious = files.find(f => f.kind !== 'type' && f.kind !== 'size');
+    if (serious) await strike(serious.reason);
+    await remove((serious || files[0]).reason);
+    return { actions, files };
+  }
+
+  // guild filter rules: the most severe hit decides; 'log' only marks the log row
+  const filterHits = skip.has('filters') || !ctx.matchFilters ? [] : await ctx.matchFilters(text);
+  const filter = filterHits[0] || null;
+  if (filter) {
+    const reason = `Blocked term (rule ${filter.rule.id}, ${filter.rule.severity})`;
+    if (filter.rule.action === 'delete') {
+      await remove(reason, { filter });
+      return { actions, filter };
+    }
+    if (filter.rule.action === 'escalate') {
+      await strike(reason, { filter });
+    } else if (filter.rule.action === 'warn') {
+      await ctx.warn(reason, { filter });
+      actions.push('warn');
+    }
+  }
+
+  const trivial = isTrivialText(text);
+  const flagged = trivial || skip.has('content') ? { flagged: false, categories: {} } : await ctx.moderate(text);
+  if (flagged.flagged) {
+    if (flagged.categories.harassment) {
+      await strike('Harassment');
+    } else if (flagged.categories.hate || flagged.categories.violence) {
+      await strike('Severe hate/violence');
+    }
+  }
+
+  const tone = trivial || skip.has('tone') ? CLEAN_TONE : await ctx.classify(text);
+
+  const userHistory = await ctx.history();
+  if (now < userHistory.timeoutUntil) {
+    await remove('Posted while timed out');
+    return { actions, flagged, tone };
+  }
+
+  const { hasToneIssues, hostile, reason } = assessTone(tone);
+
+  // tone issues feed the same strike ladder: at most one strike per message
+  let toneStruck = false;
+  if (hasToneIssues) {
+    const cooldownMs = 1000 * (userHistory.warningCount > 2
+      ? policy.tone_cooldown_repeat_seconds
+      : policy.tone_cooldown_seconds);
+
+    if (now - userHistory.lastToneReply >= cooldownMs) {
+      // the callout only replaces the warn-rung reply, so past that rung it isn't generated
+      const warning = ladderAction(userHistory.warningCount + 1, policy) === 'warn'
+        ? await ctx.callout(tone, userHistory)
+        : undefined;
+      await ctx.toneReplied();
+      await strike(reason, { warning });
+      toneStruck = true;
+    }
+  }
+
+  if (hostile && !toneStruck) {
+    await strike(`Hostile tone (${tone.toxicity})`);
+  }
+
+  await ctx.log({
+    harassment: !!flagged?.categories?.harassment,
+    hate: !!flagged?.categories?.hate,
+    violence: !!flagged?.categories?.violence,
+    tone: {
+      passive_aggressive: !!tone.passive_aggressive,
+      condescending: !!tone.condescending,
+      provocation: !!tone.provocation,
+      toxicity: tone.toxicity || 'none'
+    },
+    filter,
+  });
+
+  return { actions, flagged, tone, filter };
+}
+
+// Most severe first; used to collapse a message's actions into one label.
+export const ACTION_SEVERITY = ['ban', 'kick', 'timeout', 'warn', 'delete', 'none'];
+
+export function mostSevereAction(actions) {
+  return ACTION_SEVERITY.find(a => actions.includes(a)) || 'none';
+}
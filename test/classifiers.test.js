@@ -0,0 +1,36 @@
+// Unit tests for classifiers.js (tone context only: no OpenAI, no cache store).
+// Run with: npm run test:unit
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyInContext, formatToneContext } from '../classifiers.js';
+
+const CONTEXT = {
+  author_id: 'gina',
+  reply_to: { user_id: 'hal', content: 'just turn it off and on again' },
+  recent: [{ user_id: 'hal', content: 'just turn it off and on again' }, { user_id: 'ivy', content: 'lol' }],
+  pair: { user_id: 'hal', exchanges: 42, incidents: 0, familiar: true },
+};
+
+test('tone context labels speakers instead of naming them', () => {
+  const text = formatToneContext(CONTEXT);
+  assert.match(text, /^Member A: just turn it off/m);
+  assert.match(text, /^Member B: lol$/m);
+  assert.match(text, /reply to Member A: just turn it off/);
+  assert.match(text, /Author and Member A have had 42 back-and-forth messages .* 0 of them moderated \(they are regulars/);
+  assert.doesNotMatch(text, /gina|hal|ivy/);
+});
+
+test('only a flagged verdict is judged again with its context', async () => {
+  const calls = [];
+  const classifyTone = async (text, context = null) => {
+    calls.push(context);
+    return context ? { toxicity: 'none' } : { passive_aggressive: true, toxicity: 'low' };
+  };
+  const cleared = await classifyInContext(classifyTone, 'yeah right, genius', async () => CONTEXT);
+  assert.deepEqual(calls, [null, CONTEXT]);
+  assert.equal(cleared.toxicity, 'none');
+  assert.equal(cleared.context, CONTEXT);
+
+  const clean = await classifyInContext(async () => ({ toxicity: 'none' }), 'thanks!', async () => assert.fail('context fetched'));
+  assert.equal(clean.context, null);
+});
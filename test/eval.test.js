@@ -0,0 +1,16 @@
+// Runs the offline eval over its sample file; every labelled message should come out as expected.
+// Run with: npm run test:unit
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { fileURLToPath } from 'node:url';
+
+const root = fileURLToPath(new URL('..', import.meta.url));
+
+test('sample messages, including banter judged with its context, match their labels', async () => {
+  const { stdout } = await promisify(execFile)(process.execPath, ['eval_moderation.js', '--json'], { cwd: root, timeout: 60_000 });
+  const report = JSON.parse(stdout);
+  assert.deepEqual(report.mismatches, []);
+  assert.equal(report.accuracy, 1);
+});
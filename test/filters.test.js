@@ -0,0 +1,53 @@
+// Unit tests for filters.js: obfuscation coverage and bounded matching time.
+// Run with: npm run test:unit
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { compileFilterRule, matchFilters, MAX_FILTER_TEXT, REGEX_TIMEOUT_MS } from '../filters.js';
+
+const rule = (type, pattern) => [compileFilterRule({ id: 't', type, pattern, severity: 'low', action: 'log' })];
+const matches = (rules, text) => matchFilters(text, rules).length > 0;
+
+test('word and phrase rules see through the usual dodges', () => {
+  const kill = rule('word', 'kill');
+  for (const text of ['kill', 'KILL', 'k1ll', 'ki|l', 'kiiiiill', 'k i l l', 'k.i.l.l', 'k_i_l_l', 'кill', 'k​ill']) {
+    assert.equal(matches(kill, text), true, text);
+  }
+  const phrase = rule('phrase', 'free nitro');
+  for (const text of ['free nitro', 'fr33 n1tro', 'FREE NITRO!!', 'freenitro', 'free... nitro', 'ｆｒｅｅ ｎｉｔｒｏ', 'frее nitrо']) {
+    assert.equal(matches(phrase, text), true, text);
+  }
+  const ass = rule('word', 'ass');
+  for (const text of ['@ss', '4ss', 'a$$', 'you @ss']) assert.equal(matches(ass, text), true, text);
+});
+
+test('word rules stay whole words', () => {
+  const kill = rule('word', 'kill');
+  for (const text of ['skill', 'killer', 'kil', 'overkill']) assert.equal(matches(kill, text), false, text);
+  assert.equal(matches(rule('word', 'ass'), 'class'), false);
+});
+
+test('adversarial text is matched in bounded time', () => {
+  const cases = [
+    [rule('word', 'kill'), 'k' + 'i'.repeat(2000) + 'x'],
+    [rule('word', 'kill'), 'k' + '1|'.repeat(3000) + 'x'],
+    [rule('word', 'ass'), 'you' + '@'.repeat(5000) + 'x'],
+    [rule('phrase', 'fuck you'), 'fuck' + '!'.repeat(5000) + 'x'],
+    [rule('phrase', 'stupid bot'), 's t u p i d '.repeat(1000)],
+  ];
+  for (const [rules, text] of cases) {
+    const started = performance.now();
+    matchFilters(text, rules);
+    assert.ok(performance.now() - started < 100, `${text.slice(0, 12)}… took too long`);
+  }
+  assert.ok(MAX_FILTER_TEXT <= 4000);
+});
+
+test('a runaway regex rule gives up instead of hanging', () => {
+  const timedOut = [];
+  const started = performance.now();
+  const hits = matchFilters('a'.repeat(40) + 'b', rule('regex', '(a+)+$'), { onTimeout: r => timedOut.push(r.id) });
+  assert.deepEqual(hits, []);
+  assert.deepEqual(timedOut, ['t']);
+  assert.ok(performance.now() - started < REGEX_TIMEOUT_MS * 10);
+  assert.equal(matches(rule('regex', 'cheap\\s+essays?'), 'buy cheap essays'), true);
+});
@@ -0,0 +1,40 @@
+// Unit tests for links.js (pure parts only: no resolver, no network).
+// Run with: npm run test:unit
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { isLookalike, isPrivateAddress, normalizeLinkRule, scanLinks } from '../links.js';
+
+test('lookalike hosts are flagged', () => {
+  for (const host of [
+    'dlscord-gift.com', 'discrod.com', 'disc0rdapp.com', 'discorcl.gg', 'discord-nitro.com',
+    'discordgift.site', 'free-nitro.ru', 'steamcommunlty.ru', 'steampovvered.com',
+    'xn--dscord-pvf.com', // "dіscord.com" with a Cyrillic і
+  ]) {
+    assert.equal(isLookalike(host), true, host);
+  }
+});
+
+test('official domains and projects named after Discord are not lookalikes', () => {
+  for (const host of [
+    'discord.com', 'cdn.discordapp.com', 'discordjs.dev', 'discordpy.readthedocs.io',
+    'discordbotlist.com', 'discordia.org', 'steamcommunity.com', 'stream.tv', 'github.com',
+  ]) {
+    assert.equal(isLookalike(host), false, host);
+  }
+});
+
+test('allowlisted invites are not flagged', async () => {
+  const findings = await scanLinks('partners: discord.gg/Partner, and discord.gg/other', {
+    allow: [normalizeLinkRule('https://discord.gg/Partner')],
+  });
+  assert.deepEqual(findings.map(f => f.url), ['discord.gg/other']);
+});
+
+test('private and link-local addresses are recognised', () => {
+  for (const ip of ['127.0.0.1', '10.0.0.8', '172.16.4.1', '192.168.1.1', '169.254.169.254', '::1', 'fe80::1', 'fd12::1', '::ffff:10.0.0.1']) {
+    assert.equal(isPrivateAddress(ip), true, ip);
+  }
+  for (const ip of ['8.8.8.8', '172.32.0.1', '2606:4700::1111']) {
+    assert.equal(isPrivateAddress(ip), false, ip);
+  }
+});
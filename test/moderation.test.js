@@ -0,0 +1,14 @@
+// Unit tests for moderation.js (pure decision helpers).
+// Run with: npm run test:unit
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDuration, shortensPermanentShadowban } from '../moderation.js';
+
+test('a timed shadowban never replaces a permanent one', () => {
+  const week = parseDuration('7d');
+  assert.equal(shortensPermanentShadowban({ shadowbanned: true, timed: false }, week), true);
+  // a new timer over a running one, a first shadowban, or a permanent one are all fine
+  assert.equal(shortensPermanentShadowban({ shadowbanned: true, timed: true }, week), false);
+  assert.equal(shortensPermanentShadowban({ shadowbanned: false, timed: false }, week), false);
+  assert.equal(shortensPermanentShadowban({ shadowbanned: true, timed: false }, null), false);
+});